@@ -20,20 +20,36 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
-const { parse: parseComments } = require('comment-parser');
-const ts = require('typescript');
-
-// Modular analyzers (ported from generateUML.js.deprecated)
-const GitAnalyzer = require('./lib/analyzers/git-analyzer');
-const ComplexityAnalyzer = require('./lib/analyzers/complexity-analyzer');
-const ImportAnalyzer = require('./lib/analyzers/import-analyzer');
-const RedundancyAnalyzer = require('./lib/analyzers/redundancy-analyzer');
-const CoverageAnalyzer = require('./lib/analyzers/coverage-analyzer');
-const AnalysisSummary = require('./lib/aggregators/analysis-summary');
+const { analyze, analyzeFile, findSourceFiles, AnalysisSession } = require('./lib/analyze');
+const { DEFAULT_CONFIG, loadConfig, mergeConfig } = require('./lib/config');
+const { splitPatternList } = require('./lib/glob');
 
 // Configuration from command line
 const args = process.argv.slice(2);
 
+/**
+ * 🎯 Diagram selection flags shared by --format and the export command
+ */
+function parseExportOptions(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--package' && argv[i + 1]) {
+            options.package = argv[++i];
+        } else if (argv[i] === '--focus' && argv[i + 1]) {
+            options.focus = argv[++i];
+        } else if (argv[i] === '--depth' && argv[i + 1]) {
+            options.depth = Math.max(0, parseInt(argv[++i], 10) || 0);
+        } else if (argv[i] === '--limit' && argv[i + 1]) {
+            options.limit = Math.max(1, parseInt(argv[++i], 10) || 1);
+        } else if (argv[i] === '--diagram' && argv[i + 1]) {
+            options.diagram = argv[++i];
+        } else if (argv[i] === '--graph' && argv[i + 1]) {
+            options.graph = argv[++i];
+        }
+    }
+    return options;
+}
+
 // Check for help flag
 if (args.includes('--help') || args.includes('-h')) {
     console.log(`
@@ -46,16 +62,42 @@ USAGE:
   cartogomancy [path] [options]                  Analyze with options
 
 OPTIONS:
-  --output <file>         Output JSON file path
+  --output <file>         Output file path
+  --config <file>         Config file (default: cartogomancy.config.js, .cartogomancyrc.json
+                          or "cartogomancy" in package.json, found in the project root)
   --upload                Upload to SwarmDesk account (requires login)
-  --include <patterns>    Comma-separated directories to include
-  --exclude <patterns>    Comma-separated patterns to exclude
+  --include <patterns>    Comma-separated globs to include, e.g. "src,packages/*/lib,!**/*.stories.tsx"
+  --exclude <patterns>    Comma-separated globs to exclude (.gitignore syntax)
+  --no-gitignore          Don't skip what .gitignore files ignore (.cartogomancyignore still applies)
+  --no-workspaces         Don't treat npm/yarn/pnpm/lerna workspaces as districts
+  --entry <patterns>      Comma-separated globs of extra entry points, e.g. "scripts/*.js,src/worker.ts"
   --no-git                Skip git history analysis (faster)
   --no-imports            Skip import/export dead code analysis
   --no-redundancy         Skip redundancy/similarity detection
   --no-mad-tinker         Skip possibility analysis (Mad Tinker)
   --wildness <1-10>       Mad Tinker wildness dial — 1=adjacent, 10=edge of map (default: 5)
   --coverage-path <path>  Path to coverage-summary.json
+  --no-cache              Disable the persistent analysis cache
+  --cache-dir <dir>       Cache location (default: <project>/.cartogomancy-cache)
+  --jobs <n>              Worker threads for parsing (default: CPU count, 1 = serial)
+  --watch                 Re-analyze saved files and rewrite the outputs until Ctrl+C;
+                          each update's changed entities go to <output>.delta.json
+  --format <formats>      Comma-separated output formats: json (default), html, sarif,
+                          plantuml, mermaid, dot, graphml, gexf
+  --package <path>        Diagram formats: only classes in this package
+  --focus <class>         Diagram formats: only classes near this class (name or ID)
+  --depth <n>             Hops around --focus to include (default: 1)
+  --limit <n>             Diagram formats: max nodes (mermaid default: 50)
+  --diagram <type>        Mermaid: class (default) or flowchart (package graph)
+  --graph <type>          DOT/GraphML/GEXF: class (default) or package graph
+  --max-critical <n>      Gate: fail if more than n classes are CRITICAL
+  --max-high <n>          Gate: fail if more than n classes are HIGH
+  --max-avg-cyclomatic <n>
+                          Gate: fail if average cyclomatic complexity is above n
+  --max-avg-cognitive <n> Gate: fail if average cognitive complexity is above n
+  --max-unused-exports <n>
+                          Gate: fail if more than n exports are never imported
+  --min-coverage <pct>    Gate: fail if line coverage is below pct (needs a coverage report)
   --help, -h              Show this help message
 
 COMMANDS:
@@ -65,6 +107,11 @@ COMMANDS:
   logout                  Logout from SwarmDesk
   whoami                  Show current login status
   upload <file.json>      Upload existing UML file to SwarmDesk
+  validate <file.json>    Check a UML file against the v7.0 JSON Schema
+  diff <old> <new>        Compare two UML files (writes diff.json, or --output <file>)
+  export <format> <file>  Convert a UML file to another format (stdout, or --output <file>)
+  serve [path]            Serve the UML over HTTP and stream updates as files change
+                          (--port <n>, default 7070; --host <addr>, default 127.0.0.1)
 
 EXAMPLES:
   cartogomancy                                           # Interactive TUI
@@ -74,6 +121,14 @@ EXAMPLES:
   cartogomancy . --output my-uml.json                    # Custom output
   cartogomancy login                                     # Login to account
   cartogomancy upload my-project.json                    # Upload existing file
+  cartogomancy diff v1-uml.json v2-uml.json             # What changed between releases
+  cartogomancy . --format html                           # Offline HTML report
+  cartogomancy . --format json,sarif                     # Two outputs, one run
+  cartogomancy . --max-critical 0 --min-coverage 70      # CI gate: exits 1 on failure
+  cartogomancy . --watch --no-git                        # Live-update the city while refactoring
+  cartogomancy serve . --no-git --port 8080              # Live feed for a local viewer
+  cartogomancy export plantuml my-uml.json --focus Button --depth 2   # Class diagram
+  cartogomancy export dot my-uml.json --graph package | dot -Tsvg > deps.svg   # Package graph
 
 🧙‍♂️ From the Mad Laboratory
 `);
@@ -143,39 +198,149 @@ if (args[0] === 'upload') {
     return;
 }
 
+if (args[0] === 'validate') {
+    const validateManager = require('./lib/validate');
+    const filePath = args[1];
+    const chalk = require('chalk');
+
+    if (!filePath) {
+        console.error(chalk.red('\n❌ File path required\n'));
+        console.log('Usage: cartogomancy validate <file.json>\n');
+        process.exit(1);
+    }
+
+    process.exit(validateManager.validateFile(filePath) ? 0 : 1);
+}
+
+if (args[0] === 'diff') {
+    const diffManager = require('./lib/diff');
+    const chalk = require('chalk');
+    const [oldFile, newFile] = args.slice(1).filter((arg, i, rest) => !arg.startsWith('--') && rest[i - 1] !== '--output');
+    const outputIdx = args.indexOf('--output');
+
+    if (!oldFile || !newFile) {
+        console.error(chalk.red('\n❌ Two UML files required\n'));
+        console.log('Usage: cartogomancy diff <old.json> <new.json> [--output diff.json]\n');
+        process.exit(1);
+    }
+
+    const success = diffManager.diffFiles(oldFile, newFile, outputIdx !== -1 && args[outputIdx + 1] ? args[outputIdx + 1] : 'diff.json');
+    process.exit(success ? 0 : 1);
+}
+
+if (args[0] === 'export') {
+    const exportManager = require('./lib/export');
+    const chalk = require('chalk');
+    const [format, filePath] = args.slice(1, 3);
+    const outputIdx = args.indexOf('--output');
+
+    if (!format || !filePath || format.startsWith('--') || filePath.startsWith('--')) {
+        console.error(chalk.red('\n❌ Format and UML file required\n'));
+        console.log('Usage: cartogomancy export <format> <file.json> [--output <file>] [--package <path>] [--focus <class>] [--depth <n>]\n');
+        process.exit(1);
+    }
+
+    const outputPath = outputIdx !== -1 && args[outputIdx + 1] ? args[outputIdx + 1] : null;
+    const success = exportManager.exportFile(format, filePath, outputPath, parseExportOptions(args));
+    process.exit(success ? 0 : 1);
+}
+
+// `serve [path] [options]` analyzes like the default command, then serves instead of writing files
+const serveMode = args[0] === 'serve';
+let servePort = null;
+let serveHost = null;
+if (serveMode) {
+    args.shift();
+    if (!args[0] || args[0].startsWith('--')) args.unshift('.');
+}
+
 let targetPath = args[0] || '.';
-let outputFile = null;
-let includePatterns = ['src', 'lib', 'components', 'pages', 'utils', 'hooks', 'services', 'server', 'client', 'shared', 'app', 'api'];
-let excludePatterns = ['node_modules', 'dist', 'build', '.git', 'coverage', 'test', '__tests__'];
-
-// Analyzer flags
-let skipGit = args.includes('--no-git');
-let skipImports = args.includes('--no-imports');
-let skipRedundancy = args.includes('--no-redundancy');
-let skipMadTinker = args.includes('--no-mad-tinker');
-let wildness = 5;
-let coveragePath = null;
+let configPath = null;
+
+// Quality gate flags → keys of the `gates` config section
+const GATE_FLAGS = {
+    '--max-critical': 'maxCritical',
+    '--max-high': 'maxHigh',
+    '--max-avg-cyclomatic': 'maxAvgCyclomatic',
+    '--max-avg-cognitive': 'maxAvgCognitive',
+    '--max-unused-exports': 'maxUnusedExports',
+    '--min-coverage': 'minCoverage'
+};
+
+// Settings passed as flags; they override the project config (see lib/config.js)
+const cliSettings = { analyzers: {} };
+if (args.includes('--no-git')) cliSettings.analyzers.git = false;
+if (args.includes('--no-imports')) cliSettings.analyzers.imports = false;
+if (args.includes('--no-redundancy')) cliSettings.analyzers.redundancy = false;
+if (args.includes('--no-mad-tinker')) cliSettings.analyzers.madTinker = false;
+if (args.includes('--no-cache')) cliSettings.cache = false;
+if (args.includes('--no-gitignore')) cliSettings.gitignore = false;
+if (args.includes('--no-workspaces')) cliSettings.workspaces = false;
+const watchMode = args.includes('--watch');
 
 // Parse command line arguments
 for (let i = 1; i < args.length; i++) {
     if (args[i] === '--output' && args[i + 1]) {
-        outputFile = args[i + 1];
+        cliSettings.output = path.resolve(args[i + 1]);
+        i++;
+    } else if (args[i] === '--config' && args[i + 1]) {
+        configPath = args[i + 1];
         i++;
     } else if (args[i] === '--include' && args[i + 1]) {
-        includePatterns = args[i + 1].split(',');
+        cliSettings.include = splitPatternList(args[i + 1]);
         i++;
     } else if (args[i] === '--exclude' && args[i + 1]) {
-        excludePatterns = args[i + 1].split(',');
+        cliSettings.exclude = splitPatternList(args[i + 1]);
+        i++;
+    } else if (args[i] === '--entry' && args[i + 1]) {
+        cliSettings.entryPoints = splitPatternList(args[i + 1]);
         i++;
     } else if (args[i] === '--coverage-path' && args[i + 1]) {
-        coveragePath = args[i + 1];
+        cliSettings.coveragePath = args[i + 1];
+        i++;
+    } else if (args[i] === '--jobs' && args[i + 1]) {
+        cliSettings.jobs = Math.max(1, parseInt(args[i + 1], 10) || 1);
+        i++;
+    } else if (args[i] === '--cache-dir' && args[i + 1]) {
+        cliSettings.cacheDir = path.resolve(args[i + 1]);
+        i++;
+    } else if (args[i] === '--format' && args[i + 1]) {
+        cliSettings.formats = args[i + 1].split(',').map(format => format.trim());
         i++;
     } else if (args[i] === '--wildness' && args[i + 1]) {
-        wildness = Math.max(1, Math.min(10, parseInt(args[i + 1], 10) || 5));
+        cliSettings.wildness = Math.max(1, Math.min(10, parseInt(args[i + 1], 10) || 5));
+        i++;
+    } else if (args[i] === '--port' && args[i + 1]) {
+        servePort = Number(args[i + 1]);
+        if (!Number.isInteger(servePort) || servePort < 0 || servePort > 65535) {
+            console.error(`❌ --port needs a port number, got "${args[i + 1]}"`);
+            process.exit(1);
+        }
+        i++;
+    } else if (args[i] === '--host' && args[i + 1]) {
+        serveHost = args[i + 1];
+        i++;
+    } else if (GATE_FLAGS[args[i]] && args[i + 1]) {
+        const limit = Number(args[i + 1]);
+        if (!Number.isFinite(limit) || limit < 0) {
+            console.error(`❌ ${args[i]} needs a non-negative number, got "${args[i + 1]}"`);
+            process.exit(1);
+        }
+        cliSettings.gates = { ...cliSettings.gates, [GATE_FLAGS[args[i]]]: limit };
         i++;
     }
 }
 
+// Effective settings; main() merges the project's config file underneath the flags
+let settings = mergeConfig(DEFAULT_CONFIG, cliSettings);
+
+/**
+ * @deprecated Use analyze() from lib/index.js. Runs with the CLI's settings and logs to the console.
+ */
+function generateUML(projectPath, projectName) {
+    return analyze(projectPath, { ...settings, projectName, logger: console });
+}
+
 /**
  * 🌐 Check if input is a GitHub URL
  */
@@ -215,522 +380,82 @@ function cleanupTemp(tempDir) {
     }
 }
 
-// Git metrics now handled by GitAnalyzer class (lib/analyzers/git-analyzer.js)
-
 /**
- * 📁 Find all source files
+ * 💾 Write UML data in every requested format; false if an export failed
  */
-function findSourceFiles(dir, includes, excludes) {
-    const files = [];
-
-    function walk(currentDir) {
-        const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-
-        for (const entry of entries) {
-            const fullPath = path.join(currentDir, entry.name);
-            const relativePath = path.relative(dir, fullPath);
-
-            // Skip excluded patterns
-            if (excludes.some(pattern => relativePath.includes(pattern))) {
-                continue;
-            }
-
-            if (entry.isDirectory()) {
-                walk(fullPath);
-            } else if (entry.isFile()) {
-                const ext = path.extname(entry.name);
-                if (['.js', '.jsx', '.ts', '.tsx', '.mjs'].includes(ext)) {
-                    // Check if file is in included patterns
-                    if (includes.length === 0 || includes.some(pattern => relativePath.startsWith(pattern))) {
-                        files.push(fullPath);
-                    }
-                }
-            }
-        }
-    }
-
-    walk(dir);
-    return files;
-}
-
-/**
- * 🔍 Parse TypeScript/JavaScript file using TS compiler API
- * Enhanced: extracts parameter types, return types, visibility, async/static modifiers
- */
-function parseWithTypeScript(filePath, content) {
-    const ext = path.extname(filePath);
-    const isTypeScript = ['.ts', '.tsx'].includes(ext);
-
-    const sourceFile = ts.createSourceFile(
-        filePath,
-        content,
-        ts.ScriptTarget.Latest,
-        true
-    );
-
-    const result = { classes: [], interfaces: [], hooks: [] };
-
-    function getVisibility(node) {
-        if (!node.modifiers) return 'public';
-        for (const mod of node.modifiers) {
-            if (mod.kind === ts.SyntaxKind.PrivateKeyword) return 'private';
-            if (mod.kind === ts.SyntaxKind.ProtectedKeyword) return 'protected';
-        }
-        return 'public';
-    }
-
-    function hasModifier(node, kind) {
-        return node.modifiers ? node.modifiers.some(m => m.kind === kind) : false;
-    }
-
-    function getTypeText(typeNode) {
-        if (!typeNode) return null;
-        try { return typeNode.getText(sourceFile); } catch { return null; }
-    }
-
-    function extractMethodInfo(member) {
-        const name = member.name ? member.name.getText(sourceFile) : '<anonymous>';
-        const isAsync = hasModifier(member, ts.SyntaxKind.AsyncKeyword);
-        const isStatic = hasModifier(member, ts.SyntaxKind.StaticKeyword);
-        const visibility = getVisibility(member);
-
-        // Extract parameters with types
-        const parameters = (member.parameters || []).map(param => {
-            const paramName = param.name ? param.name.getText(sourceFile) : '?';
-            const paramType = getTypeText(param.type);
-            const isOptional = !!param.questionToken;
-            return { name: paramName, type: paramType, optional: isOptional };
-        });
-
-        // Extract return type
-        const returnType = getTypeText(member.type);
-
-        return {
-            name,
-            visibility,
-            type: 'method',
-            isAsync,
-            isStatic,
-            parameters,
-            returnType,
-            signature: `${isAsync ? 'async ' : ''}${isStatic ? 'static ' : ''}${name}(${parameters.map(p => p.type ? `${p.name}: ${p.type}` : p.name).join(', ')})${returnType ? `: ${returnType}` : ''}`
-        };
-    }
-
-    function visit(node) {
-        if (ts.isClassDeclaration(node) && node.name) {
-            const className = node.name.getText(sourceFile);
-            const classInfo = { name: className, extends: null, implements: [], methods: [], fields: [] };
-
-            if (node.heritageClauses) {
-                for (const clause of node.heritageClauses) {
-                    if (clause.token === ts.SyntaxKind.ExtendsKeyword) {
-                        classInfo.extends = clause.types[0].expression.getText(sourceFile);
-                    } else if (clause.token === ts.SyntaxKind.ImplementsKeyword) {
-                        classInfo.implements = clause.types.map(type =>
-                            type.expression.getText(sourceFile)
-                        );
-                    }
-                }
-            }
-
-            node.members.forEach(member => {
-                if (ts.isMethodDeclaration(member) && member.name) {
-                    classInfo.methods.push(extractMethodInfo(member));
-                } else if (ts.isPropertyDeclaration(member) && member.name) {
-                    classInfo.fields.push({
-                        name: member.name.getText(sourceFile),
-                        type: getTypeText(member.type),
-                        visibility: getVisibility(member),
-                        isStatic: hasModifier(member, ts.SyntaxKind.StaticKeyword)
-                    });
-                } else if (ts.isConstructorDeclaration(member)) {
-                    classInfo.methods.push({
-                        ...extractMethodInfo(member),
-                        name: 'constructor',
-                        type: 'constructor'
-                    });
-                }
-            });
-
-            result.classes.push(classInfo);
-        }
-
-        if (isTypeScript && ts.isInterfaceDeclaration(node) && node.name) {
-            const interfaceName = node.name.getText(sourceFile);
-            const ifaceInfo = { name: interfaceName, extends: [] };
-
-            if (node.heritageClauses) {
-                for (const clause of node.heritageClauses) {
-                    if (clause.token === ts.SyntaxKind.ExtendsKeyword) {
-                        ifaceInfo.extends = clause.types.map(type =>
-                            type.expression.getText(sourceFile)
-                        );
-                    }
-                }
-            }
-
-            result.interfaces.push(ifaceInfo);
+function writeOutputs(umlData, outputs, exportOptions) {
+    for (const { format, exporter, file } of outputs) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        if (exporter) {
+            const exportManager = require('./lib/export');
+            const text = exportManager.render(format, umlData, exportOptions);
+            if (text === null) return false;
+            fs.writeFileSync(file, text);
+        } else {
+            fs.writeFileSync(file, JSON.stringify(umlData, null, 2));
         }
-
-        ts.forEachChild(node, visit);
-    }
-
-    visit(sourceFile);
-
-    // Extract React hooks (works for both TS and JS)
-    const hookRegex = /\b(use[A-Z]\w*)\s*\(/g;
-    let hookMatch;
-    const hooksSet = new Set();
-    while ((hookMatch = hookRegex.exec(content)) !== null) {
-        hooksSet.add(hookMatch[1]);
     }
-    result.hooks = Array.from(hooksSet);
-
-    return result;
+    return true;
 }
 
 /**
- * 🔍 Analyze a single file (Enhanced with modular analyzers)
- * Uses: GitAnalyzer, ComplexityAnalyzer, ImportAnalyzer, CoverageAnalyzer
+ * 👀 Keep re-analyzing saved files: rewrite every output and the delta file until Ctrl+C
  */
-function analyzeFile(filePath, projectRoot, analyzers = {}) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const relativePath = path.relative(projectRoot, filePath);
-    const fileName = path.basename(filePath, path.extname(filePath));
-    const ext = path.extname(filePath);
-    const isTypeScript = ['.ts', '.tsx'].includes(ext);
-    const packagePath = path.dirname(relativePath);
-
-    // Parse with TypeScript compiler API (enhanced: richer methods, hooks, fields)
-    const tsResults = parseWithTypeScript(filePath, content);
-
-    // Extract imports (dependency names for city connections)
-    const dependencies = [];
-    const importRegex = /import\s+(?:{[^}]+}|[\w]+|\*\s+as\s+\w+)?\s*(?:,\s*{[^}]+})?\s*from\s+['"]([^'"]+)['"]/g;
-    let match;
-    while ((match = importRegex.exec(content)) !== null) {
-        const importPath = match[1];
-        if (importPath.startsWith('.') || importPath.startsWith('/')) {
-            const depName = path.basename(importPath, path.extname(importPath));
-            if (!dependencies.includes(depName)) {
-                dependencies.push(depName);
-            }
-        }
-    }
-
-    // Collect imports/exports for ImportAnalyzer
-    if (analyzers.importAnalyzer) {
-        analyzers.importAnalyzer.collectExports(filePath, content);
-        analyzers.importAnalyzer.collectImports(filePath, content);
-        analyzers.importAnalyzer.collectFileStats(filePath);
-    }
-
-    // Detect React component
-    const isReactComponent = /export\s+(?:default\s+)?(?:function|const|class)\s+(\w+)/.test(content) &&
-                            (content.includes('import React') || content.includes('from \'react\'') || content.includes('from "react"'));
-
-    // Extract class/component info
-    let name = fileName;
-    let extendsClass = null;
-    let implementsInterfaces = [];
-    let methods = [];
-    let fields = [];
-
-    if (tsResults.classes.length > 0) {
-        const mainClass = tsResults.classes[0];
-        name = mainClass.name;
-        extendsClass = mainClass.extends;
-        implementsInterfaces = mainClass.implements || [];
-        methods = mainClass.methods;
-        fields = mainClass.fields || [];
-    } else {
-        const componentMatch = content.match(/export\s+(?:default\s+)?(?:function|const|class)\s+(\w+)/);
-        name = componentMatch ? componentMatch[1] : fileName;
-
-        const extendsMatch = content.match(/class\s+\w+\s+extends\s+(\w+)/);
-        if (extendsMatch) extendsClass = extendsMatch[1];
-
-        const implementsMatch = content.match(/class\s+\w+\s+implements\s+([\w,\s]+)/);
-        if (implementsMatch) implementsInterfaces = implementsMatch[1].split(',').map(s => s.trim());
-
-        // Enhanced regex method extraction with async detection.
-        // Guard against control-flow statements (if/for/while/etc.) being misread as methods.
-        const methodMatches = content.match(
-            /(?:(?:async\s+)?function\s+\w+|(?:export\s+)?(?:async\s+)?(?:const|let)\s+\w+\s*=\s*(?:async\s+)?\([^)]*\)\s*=>|^\s*(?:async\s+)?(?!if\b|for\b|while\b|switch\b|catch\b|else\b|try\b|do\b)\w+\s*\([^)]*\)\s*{)/gm
-        ) || [];
-        const controlFlowSignatureRegex = /^(?:if|for|while|switch|catch|else|try|do)\b/;
-        methods = methodMatches
-            .map((m, i) => {
-                const isAsync = m.includes('async');
-                const signature = m.trim().substring(0, 60);
-                const nameMatch = m.match(/(?:function|const|let)\s+(\w+)|^\s*(\w+)\s*\(/);
-                return {
-                    name: nameMatch ? (nameMatch[1] || nameMatch[2]) : `method_${i}`,
-                    visibility: 'public',
-                    type: 'method',
-                    isAsync,
-                    isStatic: false,
-                    parameters: [],
-                    returnType: null,
-                    signature
-                };
-            })
-            .filter(method => !controlFlowSignatureRegex.test(method.signature));
-    }
+function watchProject(session, outputs, exportOptions) {
+    const chalk = require('chalk');
+    const ProjectWatcher = require('./lib/project-watcher');
+    const first = outputs[0].file;
+    const deltaFile = path.join(path.dirname(first), `${path.basename(first, path.extname(first))}.delta.json`);
 
-    // Use ComplexityAnalyzer for real metrics (replaces keyword counting)
-    let complexityMetrics;
-    if (analyzers.complexityAnalyzer) {
-        const complexityResult = analyzers.complexityAnalyzer.analyzeFile(filePath, content, isTypeScript);
-        complexityMetrics = {
-            cyclomaticComplexity: complexityResult.cyclomaticComplexity,
-            cognitiveComplexity: complexityResult.cognitiveComplexity,
-            nestingDepth: complexityResult.nestingDepth,
-            linesOfCode: complexityResult.linesOfCode,
-            methodCount: methods.length,
-            threatLevel: complexityResult.threatLevel,
-            threatColor: complexityResult.threatColor,
-            label: complexityResult.label,
-            suggestions: complexityResult.suggestions
-        };
-    } else {
-        const cyclomaticComplexity = (content.match(/\b(if|else|for|while|switch|case|catch)\b/g) || []).length;
-        const lines = content.split('\n').length;
-        complexityMetrics = {
-            cyclomaticComplexity,
-            cognitiveComplexity: cyclomaticComplexity,
-            nestingDepth: 0,
-            linesOfCode: lines,
-            methodCount: methods.length,
-            threatLevel: cyclomaticComplexity > 15 ? 'CRITICAL' : cyclomaticComplexity > 10 ? 'HIGH' : cyclomaticComplexity > 5 ? 'MEDIUM' : 'LOW',
-            threatColor: cyclomaticComplexity > 15 ? 'red' : cyclomaticComplexity > 10 ? 'orange' : cyclomaticComplexity > 5 ? 'yellow' : 'green',
-            label: cyclomaticComplexity > 15 ? 'CRITICAL' : cyclomaticComplexity > 10 ? 'HIGH' : cyclomaticComplexity > 5 ? 'MEDIUM' : 'LOW',
-            suggestions: []
-        };
-    }
+    const watcher = new ProjectWatcher(session).start(({ umlData, delta }) => {
+        if (!writeOutputs(umlData, outputs, exportOptions)) return;
+        fs.writeFileSync(deltaFile, JSON.stringify(delta, null, 2));
 
-    // Use GitAnalyzer for full git metrics (replaces getGitMetrics)
-    let gitMetrics;
-    if (analyzers.gitAnalyzer) {
-        gitMetrics = analyzers.gitAnalyzer.analyzeFile(relativePath);
-    } else {
-        gitMetrics = { commitCount: 0, lastCommit: null, isGitTracked: false };
-    }
+        const count = kind => delta.classes[kind].length;
+        console.log(chalk.cyan(`🔁 [${new Date().toLocaleTimeString()}] #${delta.sequence} ${delta.changedFiles.length} file(s) changed → ` +
+            `${count('added')} added, ${count('updated')} updated, ${count('removed')} removed`));
+    });
 
-    // Use CoverageAnalyzer
-    let coverageMetrics = { hasCoverage: false, overallCoverage: 0 };
-    if (analyzers.coverageAnalyzer) {
-        coverageMetrics = analyzers.coverageAnalyzer.analyzeFile(filePath);
-    }
+    console.log(chalk.cyan(`\n👀 Watching ${watcher.directories().map(dir => path.relative(session.projectPath, dir) || '.').join(', ')} for changes (Ctrl+C to stop)`));
+    console.log(chalk.gray(`   Deltas: ${deltaFile}\n`));
 
-    const lines = complexityMetrics.linesOfCode || content.split('\n').length;
-
-    return {
-        id: `component_${Math.random().toString(36).substring(2, 9)}`,
-        name,
-        type: 'class',
-        subtype: isReactComponent ? 'react_component' : 'utility',
-        package: packagePath || 'root',
-        filePath: relativePath,
-        methods,
-        fields,
-        hooks: tsResults.hooks || [],
-        dependencies,
-        extends: extendsClass ? [extendsClass] : [],
-        implements: implementsInterfaces,
-        complexity: complexityMetrics.cyclomaticComplexity,
-        complexityMetrics,
-        coverageMetrics,
-        metrics: {
-            lines,
-            complexity: complexityMetrics.cyclomaticComplexity,
-            methodCount: methods.length,
-            coverage: coverageMetrics.overallCoverage || 0
-        },
-        gitMetrics,
-        testMetrics: {
-            exists: fs.existsSync(filePath.replace(/\.(jsx?|tsx?)$/, '.test$&')),
-            coverage: coverageMetrics.overallCoverage || 0
-        }
-    };
+    process.on('SIGINT', () => {
+        watcher.close();
+        console.log(chalk.gray('\n👋 Stopped watching'));
+        process.exit(0);
+    });
 }
 
 /**
- * 🏗️ Generate UML data structure (Enhanced with modular analyzers)
+ * 📡 Serve the session over HTTP; the watcher feeds every update to subscribers
  */
-function generateUML(projectPath, projectName) {
-    console.log(`🔍 Analyzing project: ${projectPath}`);
-    console.log(`📦 Include patterns: ${includePatterns.join(', ')}`);
-    console.log(`🚫 Exclude patterns: ${excludePatterns.join(', ')}`);
-
-    // Initialize analyzers
-    const analyzers = {
-        complexityAnalyzer: new ComplexityAnalyzer(),
-        importAnalyzer: skipImports ? null : new ImportAnalyzer(),
-        coverageAnalyzer: new CoverageAnalyzer({
-            projectRoot: projectPath,
-            coveragePath: coveragePath || 'coverage/coverage-summary.json'
-        })
-    };
-
-    if (!skipGit) {
-        console.log('📜 Git analysis enabled (use --no-git to skip)');
-        analyzers.gitAnalyzer = new GitAnalyzer({ projectRoot: projectPath });
-    }
-
-    // Find all source files
-    const files = findSourceFiles(projectPath, includePatterns, excludePatterns);
-    console.log(`📄 Found ${files.length} source files`);
-
-    // Analyze each file
-    const classes = [];
-    const packages = new Map();
-
-    for (const filePath of files) {
-        try {
-            const classData = analyzeFile(filePath, projectPath, analyzers);
-            classes.push(classData);
-
-            // Group by package
-            const pkgPath = classData.package;
-            if (!packages.has(pkgPath)) {
-                packages.set(pkgPath, {
-                    id: `package_${Math.random().toString(36).substring(2, 9)}`,
-                    name: pkgPath.split('/').pop() || 'root',
-                    path: pkgPath,
-                    classes: []
-                });
-            }
-            packages.get(pkgPath).classes.push(classData.id);
-        } catch (error) {
-            console.warn(`⚠️ Error analyzing ${filePath}: ${error.message}`);
-        }
-    }
-
-    // 🔗 CREATE STUB CLASSES FOR EXTERNAL DEPENDENCIES
-    const definedClasses = new Set(classes.map(c => c.name));
-    const externalClasses = new Set();
-
-    classes.forEach(classData => {
-        if (classData.extends && classData.extends.length > 0) {
-            classData.extends.forEach(parentClass => {
-                if (!definedClasses.has(parentClass)) externalClasses.add(parentClass);
-            });
-        }
-        if (classData.implements && classData.implements.length > 0) {
-            classData.implements.forEach(interfaceName => {
-                if (!definedClasses.has(interfaceName)) externalClasses.add(interfaceName);
-            });
-        }
-    });
-
-    if (externalClasses.size > 0) {
-        console.log(`📦 Creating ${externalClasses.size} stub classes for external dependencies`);
-
-        const externalPkgPath = 'external';
-        if (!packages.has(externalPkgPath)) {
-            packages.set(externalPkgPath, {
-                id: 'package_external',
-                name: 'External Libraries',
-                path: externalPkgPath,
-                classes: []
-            });
-        }
-
-        externalClasses.forEach(className => {
-            const stubClass = {
-                id: `external_${className.replace(/\./g, '_').toLowerCase()}`,
-                name: className,
-                type: 'class',
-                subtype: 'external',
-                package: externalPkgPath,
-                filePath: `external/${className}`,
-                methods: [],
-                fields: [],
-                hooks: [],
-                dependencies: [],
-                extends: [],
-                implements: [],
-                complexity: 0,
-                complexityMetrics: {
-                    cyclomaticComplexity: 0,
-                    cognitiveComplexity: 0,
-                    nestingDepth: 0,
-                    linesOfCode: 75,
-                    methodCount: 0,
-                    threatLevel: 'EXTERNAL',
-                    threatColor: 'gray',
-                    label: 'External Library',
-                    suggestions: []
-                },
-                coverageMetrics: { hasCoverage: false, overallCoverage: 0 },
-                metrics: { lines: 75, complexity: 0, methodCount: 0, coverage: 0 },
-                isExternal: true
-            };
-
-            classes.push(stubClass);
-            packages.get(externalPkgPath).classes.push(stubClass.id);
-        });
-    }
-
-    // Get project metadata
-    let projectDescription = 'Codebase visualization';
-    let projectLanguage = 'JavaScript';
-
-    const packageJsonPath = path.join(projectPath, 'package.json');
-    if (fs.existsSync(packageJsonPath)) {
-        try {
-            const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-            projectName = packageJson.name || projectName;
-            projectDescription = packageJson.description || projectDescription;
-        } catch (error) {
-            console.warn(`⚠️ Could not read package.json: ${error.message}`);
-        }
-    }
+async function serveProject(session) {
+    const chalk = require('chalk');
+    const LiveServer = require('./lib/live-server');
+    const ProjectWatcher = require('./lib/project-watcher');
 
-    // Build base UML structure
-    let umlData = {
-        version: '7.0',
-        generated: new Date().toISOString(),
-        project: {
-            name: projectName,
-            description: projectDescription,
-            language: projectLanguage
-        },
-        packages: Array.from(packages.values()),
-        classes
-    };
+    const server = new LiveServer(session, { port: servePort ?? LiveServer.DEFAULT_PORT, host: serveHost });
+    const url = await server.start();
 
-    // Attach top-level analysis sections (consumed by SwarmDesk floating panels)
-    console.log('\n📊 Generating analysis summaries...');
-    const redundancyAnalyzer = skipRedundancy ? null : new RedundancyAnalyzer({
-        similarityThreshold: 0.7,
-        minMethodsForComparison: 2
+    const watcher = new ProjectWatcher(session).start(({ delta }) => {
+        server.publish(delta);
+        const count = kind => delta.classes[kind].length;
+        console.log(chalk.cyan(`📡 [${new Date().toLocaleTimeString()}] #${delta.sequence} → ${server.clients.size} subscriber(s): ` +
+            `${count('added')} added, ${count('updated')} updated, ${count('removed')} removed`));
     });
 
-    umlData = AnalysisSummary.attachToUML(umlData, {
-        importAnalyzer: analyzers.importAnalyzer,
-        redundancyAnalyzer,
-        projectRoot: projectPath,
-        noMadTinker: skipMadTinker,
-        wildness,
-    });
-
-    // Log git analyzer cache stats
-    if (analyzers.gitAnalyzer) {
-        const stats = analyzers.gitAnalyzer.getCacheStats();
-        console.log(`📜 Git cache: ${stats.cacheSize} files, ${stats.hitRate}% hit rate`);
-    }
+    console.log(chalk.green(`\n📡 Serving ${session.umlData.project.name} at ${chalk.bold(url)}`));
+    console.log(chalk.gray(`   ${url}/uml            full document`));
+    console.log(chalk.gray(`   ${url}/classes/<id>   one class`));
+    console.log(chalk.gray(`   ${url}/events         change feed (Server-Sent Events)`));
+    console.log(chalk.cyan(`\n👀 Watching ${watcher.directories().map(dir => path.relative(session.projectPath, dir) || '.').join(', ')} for changes (Ctrl+C to stop)\n`));
 
-    // Log analysis section status
-    const sections = ['complexityAnalysis', 'gitAnalysis', 'importAnalysis', 'redundancyAnalysis', 'possibilityAnalysis'];
-    sections.forEach(section => {
-        const status = umlData[section] ? '✅' : '⬜';
-        console.log(`${status} ${section}`);
+    process.on('SIGINT', async () => {
+        watcher.close();
+        await server.close();
+        console.log(chalk.gray('\n👋 Server stopped'));
+        process.exit(0);
     });
-
-    return umlData;
 }
 
 /**
@@ -743,6 +468,21 @@ async function main() {
     let workingPath = targetPath;
     let isTemp = false;
 
+    const { getExporter, listFormats } = require('./lib/exporters');
+    const checkFormats = formats => {
+        const unknown = formats.filter(format => format !== 'json' && !getExporter(format));
+        if (unknown.length > 0) {
+            console.error(`❌ Unknown format: ${unknown.join(', ')} (available: json, ${listFormats().join(', ')})`);
+            process.exit(1);
+        }
+    };
+    if (cliSettings.formats) checkFormats(cliSettings.formats);
+
+    if ((watchMode || serveMode) && isGitHubUrl(targetPath)) {
+        console.error(`❌ ${serveMode ? 'serve' : '--watch'} needs a local path, not a repository URL`);
+        process.exit(1);
+    }
+
     try {
         // Handle GitHub URLs
         if (isGitHubUrl(targetPath)) {
@@ -756,24 +496,56 @@ async function main() {
             }
         }
 
+        // Project config sits under the CLI flags
+        const { config, source } = loadConfig(workingPath, configPath);
+        settings = mergeConfig(config, cliSettings);
+        if (source) {
+            console.log(`⚙️  Config: ${path.relative(process.cwd(), source) || source}`);
+        }
+        checkFormats(settings.formats);
+
         // Extract project name
         const projectName = path.basename(workingPath);
 
         // Generate UML
-        const umlData = generateUML(workingPath, projectName);
+        const session = new AnalysisSession(workingPath, { ...settings, projectName, logger: console });
+        const umlData = await session.run();
 
-        // Determine output file
-        if (!outputFile) {
-            outputFile = path.join(process.cwd(), `${projectName}-uml.json`);
+        if (serveMode) {
+            await serveProject(session);
+            return;
         }
 
+        // One file per format. `output` sets the name and each format its extension;
+        // an --output flag is used verbatim for the first format.
+        const outputs = settings.formats.map((format, index) => {
+            const exporter = format === 'json' ? null : getExporter(format);
+            const extension = exporter ? exporter.extension : 'json';
+            let file = path.join(process.cwd(), `${projectName}-uml.${extension}`);
+            if (index === 0 && cliSettings.output) {
+                file = cliSettings.output;
+            } else if (settings.output) {
+                file = path.join(path.dirname(settings.output), `${path.basename(settings.output, path.extname(settings.output))}.${extension}`);
+            }
+            return { format, exporter, file };
+        });
+
         // Write output
-        fs.writeFileSync(outputFile, JSON.stringify(umlData, null, 2));
+        const exportOptions = parseExportOptions(args);
+        if (!writeOutputs(umlData, outputs, exportOptions)) process.exit(1);
 
         console.log('\n✨ UML Generation Complete!');
+        console.log(`📄 Files analyzed: ${umlData.files.length}`);
         console.log(`📊 Classes analyzed: ${umlData.classes.length}`);
         console.log(`📦 Packages: ${umlData.packages.length}`);
-        console.log(`💾 Output file: ${outputFile}`);
+        if (umlData.workspaces) console.log(`🏘️  Workspaces: ${umlData.workspaces.length}`);
+        if (umlData.importAnalysis?.unreachableFiles) {
+            const { unreachableFiles, unreachableLines } = umlData.importAnalysis.statistics;
+            console.log(`🪦 Unreachable files: ${unreachableFiles} (${unreachableLines} lines)`);
+        }
+        outputs.forEach(({ file }) => console.log(`💾 Output file: ${file}`));
+
+        const jsonOutput = outputs.find(output => !output.exporter);
 
         // Check for --upload flag
         if (args.includes('--upload')) {
@@ -781,17 +553,30 @@ async function main() {
             const uploadManager = require('./lib/upload');
             const success = await uploadManager.upload(umlData, projectName);
 
-            if (!success) {
+            if (!success && jsonOutput) {
                 const chalk = require('chalk');
-                console.log(chalk.gray(`📁 Saved locally: ${outputFile}`));
-                console.log(chalk.gray(`   Upload later with: cartogomancy upload ${outputFile}\n`));
+                console.log(chalk.gray(`📁 Saved locally: ${jsonOutput.file}`));
+                console.log(chalk.gray(`   Upload later with: cartogomancy upload ${jsonOutput.file}\n`));
             }
+        } else if (!jsonOutput) {
+            const descriptions = outputs.map(output => output.exporter.description).join(', ');
+            console.log(`\n🗺️  ${descriptions} ready — re-run with --format json for SwarmDesk\n`);
         } else {
             console.log('\n🎮 Load this file in SwarmDesk to visualize in 3D!');
             const chalk = require('chalk');
             console.log(chalk.gray('   Or upload to your account: cartogomancy . --upload\n'));
         }
 
+        // Gates run last so every output is written even when the build is about to fail
+        const gateManager = require('./lib/gates');
+        if (!gateManager.check(umlData, settings.gates) && !watchMode) {
+            process.exitCode = 1;
+        }
+
+        if (watchMode) {
+            watchProject(session, outputs, exportOptions);
+        }
+
     } catch (error) {
         console.error(`\n❌ Error: ${error.message}`);
         process.exit(1);
@@ -830,4 +615,4 @@ if (require.main === module) {
     }
 }
 
-module.exports = { generateUML, analyzeFile, findSourceFiles };
+module.exports = { analyze, generateUML, analyzeFile, findSourceFiles };
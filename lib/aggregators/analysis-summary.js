@@ -8,6 +8,7 @@
  * - importAnalysis (Unused Exports, Popular Imports panels)
  * - redundancyAnalysis (Similar Classes, Duplicates, Refactoring panels)
  * - possibilityAnalysis (Mad Tinker — unexplored design space per cluster)
+ * Monorepos also get per-workspace summaries on each `workspaces` entry.
  *
  * See floating-panel-system.js lines 3159-3530 for exact schema consumed.
  */
@@ -75,9 +76,14 @@ class AnalysisSummary {
      * Consumed by: generateGitActivityContent(), generateHighChurnContent()
      */
     static generateGitAnalysis(classes) {
-        const trackedClasses = classes.filter(c =>
-            !c.isExternal && c.gitMetrics && c.gitMetrics.isGitTracked
-        );
+        // Git history is per file; entities declared in the same file share it
+        const seenFiles = new Set();
+        const trackedClasses = classes.filter(c => {
+            if (c.isExternal || !c.gitMetrics || !c.gitMetrics.isGitTracked) return false;
+            if (seenFiles.has(c.filePath)) return false;
+            seenFiles.add(c.filePath);
+            return true;
+        });
 
         if (trackedClasses.length === 0) {
             return null;
@@ -134,29 +140,107 @@ class AnalysisSummary {
     /**
      * Generate importAnalysis top-level section.
      * Consumed by: generateUnusedExportsContent(), generatePopularImportsContent(), generateImportStatsContent()
+     *
+     * @param {Object} [options] - { entryPoints: from findEntryPoints(), files:
+     *   UML file nodes for line counts, isProjectSource: absolutePath →
+     *   boolean for unanalyzed files the import graph may read };
+     *   unreachable files are only reported when there are entry points
      */
-    static generateImportAnalysis(importAnalyzer, projectRoot) {
+    static generateImportAnalysis(importAnalyzer, projectRoot, options = {}) {
         if (!importAnalyzer) return null;
+        const { entryPoints = [], files = [], isProjectSource } = options;
 
-        const importGraph = importAnalyzer.buildImportGraph(projectRoot);
+        // Entry files outside the analyzed set still import analyzed ones
+        importAnalyzer.collectUnanalyzed(entryPoints.map(entry => entry.file), { projectRoot, isProjectSource });
+        const importGraph = importAnalyzer.buildImportGraph(projectRoot, { entryPoints: entryPoints.map(entry => entry.file) });
         const unusedExports = importAnalyzer.findUnusedExports(importGraph);
+        const unusedBarrels = importAnalyzer.findUnusedBarrels(importGraph);
         const statistics = importAnalyzer.calculateImportStats(importGraph);
 
-        return {
-            unusedExports: unusedExports.map(e => ({
-                ...e,
-                // Convert absolute paths to relative for display
-                file: e.file.includes(projectRoot) ? e.file.replace(projectRoot + '/', '') : e.file
+        // Convert absolute paths to relative for display
+        const relative = file => file.includes(projectRoot) ? file.replace(projectRoot + '/', '') : file;
+        const relativeVia = entry => entry.reExportedVia
+            ? { reExportedVia: entry.reExportedVia.map(step => ({ ...step, file: relative(step.file) })) }
+            : {};
+
+        const importAnalysis = {
+            unusedExports: unusedExports.map(e => ({ ...e, file: relative(e.file), ...relativeVia(e) })),
+            unusedBarrels: unusedBarrels.map(barrel => ({
+                ...barrel,
+                file: relative(barrel.file),
+                unusedReExports: barrel.unusedReExports.map(e => ({ ...e, ...relativeVia(e) }))
             })),
             statistics
         };
+
+        // Without entry points every file would look unreachable
+        if (entryPoints.length > 0) {
+            const linesByPath = new Map(files.map(file => [file.path, file.metrics?.lines || 0]));
+            const unreachableFiles = importAnalyzer.findUnreachableFiles(entryPoints.map(entry => entry.file))
+                .map(file => ({ file: relative(file), lines: linesByPath.get(relative(file)) || 0 }));
+
+            importAnalysis.entryPoints = entryPoints.map(entry => ({ ...entry, file: relative(entry.file) }));
+            importAnalysis.unreachableFiles = unreachableFiles;
+            statistics.entryPoints = entryPoints.length;
+            statistics.unreachableFiles = unreachableFiles.length;
+            statistics.unreachableLines = unreachableFiles.reduce((sum, file) => sum + file.lines, 0);
+        }
+
+        return importAnalysis;
+    }
+
+    /**
+     * Summarize each workspace in place: size, the workspaces it imports
+     * from and is imported by, and its own complexity and git sections.
+     */
+    static summarizeWorkspaces(umlData) {
+        const workspaceOf = new Map();
+        const workspaceOfPath = new Map();
+        [...umlData.files || [], ...umlData.classes].forEach(node => {
+            if (node.workspace) workspaceOf.set(node.id, node.workspace);
+        });
+        (umlData.files || []).forEach(file => workspaceOfPath.set(file.path, file.workspace));
+
+        const dependsOn = new Map(umlData.workspaces.map(ws => [ws.name, new Set()]));
+        const dependents = new Map(umlData.workspaces.map(ws => [ws.name, new Set()]));
+        (umlData.edges || []).forEach(edge => {
+            const from = workspaceOf.get(edge.source);
+            const to = workspaceOf.get(edge.target);
+            if (from && to && from !== to) {
+                dependsOn.get(from).add(to);
+                dependents.get(to).add(from);
+            }
+        });
+
+        const unusedExports = umlData.importAnalysis ? umlData.importAnalysis.unusedExports : [];
+
+        umlData.workspaces.forEach(workspace => {
+            const fileIds = new Set(workspace.files);
+            const classIds = new Set(workspace.classes);
+            const classes = umlData.classes.filter(cls => classIds.has(cls.id));
+
+            workspace.dependsOn = [...dependsOn.get(workspace.name)].sort();
+            workspace.dependents = [...dependents.get(workspace.name)].sort();
+            workspace.metrics = {
+                files: fileIds.size,
+                classes: classIds.size,
+                lines: (umlData.files || []).filter(file => fileIds.has(file.id)).reduce((sum, file) => sum + (file.metrics?.lines || 0), 0),
+                unusedExports: unusedExports.filter(e => workspaceOfPath.get(e.file) === workspace.name).length
+            };
+
+            const complexityAnalysis = this.generateComplexityAnalysis(classes);
+            if (complexityAnalysis) workspace.complexityAnalysis = complexityAnalysis;
+            const gitAnalysis = this.generateGitAnalysis(classes);
+            if (gitAnalysis) workspace.gitAnalysis = gitAnalysis;
+        });
     }
 
     /**
      * Attach all top-level analysis sections to UML output.
      */
     static attachToUML(umlData, options = {}) {
-        const { importAnalyzer, redundancyAnalyzer, projectRoot } = options;
+        const { importAnalyzer, entryPoints, isProjectSource, redundancyAnalyzer, projectRoot } = options;
+        const logger = options.logger || console;
 
         // Complexity analysis (always available since we compute per-class)
         const complexityAnalysis = this.generateComplexityAnalysis(umlData.classes);
@@ -172,17 +256,22 @@ class AnalysisSummary {
 
         // Import analysis (available when import analyzer was run)
         if (importAnalyzer && projectRoot) {
-            const importAnalysis = this.generateImportAnalysis(importAnalyzer, projectRoot);
+            const importAnalysis = this.generateImportAnalysis(importAnalyzer, projectRoot, { entryPoints, isProjectSource, files: umlData.files });
             if (importAnalysis) {
                 umlData.importAnalysis = importAnalysis;
             }
         }
 
+        // Per-workspace summaries (monorepos only)
+        if (umlData.workspaces && umlData.workspaces.length > 0) {
+            this.summarizeWorkspaces(umlData);
+        }
+
         // Redundancy analysis (available when redundancy analyzer was run)
         if (redundancyAnalyzer) {
             const nonExternalClasses = umlData.classes.filter(c => !c.isExternal);
             if (nonExternalClasses.length > 1) {
-                console.log(`🔍 Running redundancy analysis on ${nonExternalClasses.length} classes...`);
+                logger.log(`🔍 Running redundancy analysis on ${nonExternalClasses.length} classes...`);
                 const redundancyAnalysis = redundancyAnalyzer.analyzeCodebase(nonExternalClasses);
                 umlData.redundancyAnalysis = redundancyAnalysis;
 
@@ -198,7 +287,7 @@ class AnalysisSummary {
                     );
                     if (possibilityAnalysis.clustersFound > 0) {
                         umlData.possibilityAnalysis = possibilityAnalysis;
-                        console.log(`🔬 Mad Tinker: ${possibilityAnalysis.clustersFound} cluster(s) mapped — ${possibilityAnalysis.clusters.filter(c => c.madTinkersPick).length} unexplored cells found`);
+                        logger.log(`🔬 Mad Tinker: ${possibilityAnalysis.clustersFound} cluster(s) mapped — ${possibilityAnalysis.clusters.filter(c => c.madTinkersPick).length} unexplored cells found`);
                     }
                 }
             }
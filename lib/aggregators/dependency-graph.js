@@ -0,0 +1,202 @@
+/**
+ * 🛣️ Dependency Graph - Resolved, typed edges between UML entities
+ *
+ * Turns the per-file import records collected by parseWithTypeScript into a
+ * top-level `edges` array. Every edge links a source ID to a target ID:
+ * - source: the entity that references the imported binding (or the file
+ *   node when only top-level code uses it)
+ * - target: the entity that declares the imported symbol (or the file node
+ *   when the symbol isn't a UML entity, e.g. an exported constant)
+ *
+ * Edge kinds: import, require, dynamic-import, type-only, extends, implements
+ * Consumed by: SwarmDesk road rendering between buildings
+ */
+
+const path = require('path');
+const ImportAnalyzer = require('../analyzers/import-analyzer');
+
+class DependencyGraph {
+    constructor(options = {}) {
+        this.projectRoot = options.projectRoot || process.cwd();
+        // Only resolveModule/isProjectImport are needed, so --no-imports still gets edges
+        this.importAnalyzer = options.importAnalyzer || new ImportAnalyzer({ resolver: options.resolver });
+        this.edges = new Map();
+    }
+
+    addEdge(source, target, kind, symbols = []) {
+        if (!source || !target || source === target) return;
+
+        const key = `${source}|${target}|${kind}`;
+        if (!this.edges.has(key)) {
+            this.edges.set(key, { source, target, kind, symbols: [] });
+        }
+        const edge = this.edges.get(key);
+        symbols.forEach(symbol => {
+            if (!edge.symbols.includes(symbol)) edge.symbols.push(symbol);
+        });
+    }
+
+    addDependency(source, targetPath) {
+        if (source && !source.dependencies.includes(targetPath)) {
+            source.dependencies.push(targetPath);
+        }
+    }
+
+    /**
+     * Pick the entity in `targetClasses` that an imported symbol refers to.
+     */
+    resolveSymbolTarget(importedName, targetClasses) {
+        if (importedName === 'default') {
+            const defaultExport = targetClasses.find(c => c.isDefaultExport);
+            if (defaultExport) return defaultExport;
+        } else if (importedName !== '*') {
+            const named = targetClasses.find(c => c.name === importedName);
+            if (named) return named;
+        }
+
+        // Whole-module imports of a single-entity file point at that entity
+        return targetClasses.length === 1 ? targetClasses[0] : null;
+    }
+
+    /**
+     * Entities one imported binding points at, with the symbol each edge
+     * carries. A whole-module binding whose member reads are known
+     * (`m.Parser`, `const { Parser } = m`) points at the entities it reads;
+     * anything else at the single entity resolveSymbolTarget() picks.
+     */
+    symbolTargets(symbol, targetClasses) {
+        if (symbol.imported === '*' && Array.isArray(symbol.members)) {
+            const members = symbol.members
+                .map(name => ({ target: targetClasses.find(c => c.name === name), name }))
+                .filter(member => member.target);
+            if (members.length > 0) return members;
+        }
+
+        const target = this.resolveSymbolTarget(symbol.imported, targetClasses);
+        return target ? [{ target, name: symbol.imported }] : [];
+    }
+
+    /**
+     * Resolve an import specifier (relative, aliased or naming a workspace)
+     * to a project-relative path, or null when it's an external module or
+     * falls outside the analyzed files.
+     */
+    resolveSpecifier(filePath, specifier, knownPaths) {
+        const importingFile = path.join(this.projectRoot, filePath);
+        if (!this.importAnalyzer.isProjectImport(specifier, importingFile)) return null;
+
+        const isKnown = candidate => knownPaths.has(path.relative(this.projectRoot, candidate));
+        const resolved = this.importAnalyzer.resolveModule(importingFile, specifier, this.projectRoot, isKnown);
+        if (!resolved) return null;
+
+        const relativePath = path.relative(this.projectRoot, resolved);
+        return knownPaths.has(relativePath) ? relativePath : null;
+    }
+
+    /**
+     * Resolve a type name used in `extends`/`implements` to an entity ID:
+     * imported binding → same-file declaration → unique project-wide name → external stub.
+     */
+    resolveTypeName(cls, typeName, context) {
+        const { classesByFile, classesByName, classById, fileImports, knownPaths } = context;
+        const rootName = typeName.split('.')[0];
+
+        for (const record of fileImports.get(cls.filePath) || []) {
+            const symbol = record.symbols.find(s => s.local === rootName);
+            if (!symbol) continue;
+
+            const targetPath = this.resolveSpecifier(cls.filePath, record.specifier, knownPaths);
+            if (targetPath) {
+                const importedName = rootName === typeName ? symbol.imported : typeName.split('.').pop();
+                const target = this.resolveSymbolTarget(importedName, classesByFile.get(targetPath) || []);
+                if (target) return target.id;
+            }
+            break;
+        }
+
+        const sameFile = (classesByFile.get(cls.filePath) || []).find(c => c.name === typeName && c.id !== cls.id);
+        if (sameFile) return sameFile.id;
+
+        const candidates = classesByName.get(typeName) || [];
+        if (candidates.length === 1) return candidates[0].id;
+
+        const stubId = `external_${typeName.replace(/\./g, '_').toLowerCase()}`;
+        return classById.has(stubId) ? stubId : null;
+    }
+
+    /**
+     * Build edges for the whole codebase and fill in each entity's
+     * `dependencies` with the resolved paths of the files it imports from.
+     *
+     * @param {Array} files - file grouping nodes from analyzeFile
+     * @param {Array} classes - every UML entity (including external stubs)
+     * @param {Map<string, Array>} fileImports - relative file path → import records
+     * @returns {Array} edges
+     */
+    buildEdges(files, classes, fileImports) {
+        this.edges = new Map();
+
+        const knownPaths = new Map(files.map(file => [file.path, file]));
+        const classById = new Map(classes.map(cls => [cls.id, cls]));
+        const classesByFile = new Map();
+        const classesByName = new Map();
+        classes.filter(cls => !cls.isExternal).forEach(cls => {
+            if (!classesByFile.has(cls.filePath)) classesByFile.set(cls.filePath, []);
+            classesByFile.get(cls.filePath).push(cls);
+            if (!classesByName.has(cls.name)) classesByName.set(cls.name, []);
+            classesByName.get(cls.name).push(cls);
+        });
+
+        // Import edges
+        files.forEach(file => {
+            (fileImports.get(file.path) || []).forEach(record => {
+                const targetPath = this.resolveSpecifier(file.path, record.specifier, knownPaths);
+                if (!targetPath) return;
+
+                const targetFile = knownPaths.get(targetPath);
+                const targetClasses = classesByFile.get(targetPath) || [];
+
+                // Entity enclosing an inline require()/import(), else the file node
+                const recordSources = record.usedBy && record.usedBy.length > 0 ? record.usedBy : [file.id];
+
+                // Side-effect import (`import './polyfills'`) or unbound require()/import()
+                if (record.symbols.length === 0) {
+                    recordSources.forEach(sourceId => {
+                        this.addEdge(sourceId, targetFile.id, record.kind);
+                        this.addDependency(classById.get(sourceId), targetPath);
+                    });
+                    return;
+                }
+
+                record.symbols.forEach(symbol => {
+                    const kind = symbol.isTypeOnly ? 'type-only' : record.kind;
+                    const sources = symbol.usedBy && symbol.usedBy.length > 0 ? symbol.usedBy : recordSources;
+                    const targets = this.symbolTargets(symbol, targetClasses);
+
+                    sources.forEach(sourceId => {
+                        if (targets.length === 0) {
+                            this.addEdge(sourceId, targetFile.id, kind, [symbol.imported]);
+                        }
+                        targets.forEach(({ target, name }) => this.addEdge(sourceId, target.id, kind, [name]));
+                        this.addDependency(classById.get(sourceId), targetPath);
+                    });
+                });
+            });
+        });
+
+        // Inheritance edges
+        const context = { classesByFile, classesByName, classById, fileImports, knownPaths };
+        classes.filter(cls => !cls.isExternal).forEach(cls => {
+            (cls.extends || []).forEach(parent => {
+                this.addEdge(cls.id, this.resolveTypeName(cls, parent, context), 'extends', [parent]);
+            });
+            (cls.implements || []).forEach(iface => {
+                this.addEdge(cls.id, this.resolveTypeName(cls, iface, context), 'implements', [iface]);
+            });
+        });
+
+        return Array.from(this.edges.values());
+    }
+}
+
+module.exports = DependencyGraph;
@@ -0,0 +1,91 @@
+/**
+ * 🚦 Quality Gates - Pass/fail checks on a generated UML
+ *
+ * Each gate compares one project-wide number against a limit from the
+ * `gates` config section (or --max-* / --min-* flags):
+ * - maxCritical / maxHigh: classes at that threat level (complexityAnalysis)
+ * - maxAvgCyclomatic / maxAvgCognitive: complexityAnalysis.averageMetrics
+ * - maxUnusedExports: importAnalysis.unusedExports
+ * - minCoverage: line coverage % over files found in coverage-summary.json
+ *
+ * A gate whose data wasn't collected (imports analysis off, no coverage
+ * report) fails rather than passing silently. Unset gates are skipped.
+ */
+
+const GATES = [
+    { key: 'maxCritical', label: 'CRITICAL classes', bound: 'max', measure: uml => threatCount(uml, 'CRITICAL') },
+    { key: 'maxHigh', label: 'HIGH classes', bound: 'max', measure: uml => threatCount(uml, 'HIGH') },
+    { key: 'maxAvgCyclomatic', label: 'Avg cyclomatic complexity', bound: 'max', measure: uml => averageMetric(uml, 'cyclomaticComplexity') },
+    { key: 'maxAvgCognitive', label: 'Avg cognitive complexity', bound: 'max', measure: uml => averageMetric(uml, 'cognitiveComplexity') },
+    { key: 'maxUnusedExports', label: 'Unused exports', bound: 'max', measure: unusedExportCount },
+    { key: 'minCoverage', label: 'Line coverage %', bound: 'min', measure: lineCoverage }
+];
+
+// complexityAnalysis is null only when there are no classes, so nothing is complex
+function threatCount(umlData, level) {
+    return { value: umlData.complexityAnalysis?.threatLevelDistribution?.[level] || 0 };
+}
+
+function averageMetric(umlData, metric) {
+    const value = umlData.complexityAnalysis?.averageMetrics?.[metric] || 0;
+    return { value: Math.round(value * 100) / 100 };
+}
+
+function unusedExportCount(umlData) {
+    if (!umlData.importAnalysis) {
+        return { value: null, reason: 'import analysis was skipped' };
+    }
+    return { value: (umlData.importAnalysis.unusedExports || []).length };
+}
+
+function lineCoverage(umlData) {
+    // Coverage is per file; entities declared in the same file share it
+    const seenFiles = new Set();
+    let covered = 0;
+    let total = 0;
+
+    (umlData.classes || []).forEach(cls => {
+        const coverage = cls.coverageMetrics;
+        if (cls.isExternal || !coverage?.hasCoverage || seenFiles.has(cls.filePath)) return;
+        seenFiles.add(cls.filePath);
+        covered += coverage.linesCovered || 0;
+        total += coverage.linesTotal || 0;
+    });
+
+    if (seenFiles.size === 0) {
+        return { value: null, reason: 'no coverage data found' };
+    }
+    return { value: total > 0 ? Math.round((covered / total) * 10000) / 100 : 100 };
+}
+
+class QualityGates {
+    /**
+     * @param {Object} umlData - generated UML
+     * @param {Object} gates - limits keyed by gate name; null/undefined gates are skipped
+     * @returns {{ passed: boolean, results: Array<{ key, label, bound, limit, actual, passed, reason? }> }}
+     */
+    static evaluate(umlData, gates = {}) {
+        const results = GATES
+            .filter(gate => gates[gate.key] !== null && gates[gate.key] !== undefined)
+            .map(gate => {
+                const limit = gates[gate.key];
+                const { value, reason } = gate.measure(umlData);
+                const passed = value !== null &&
+                    (gate.bound === 'max' ? value <= limit : value >= limit);
+
+                return {
+                    key: gate.key,
+                    label: gate.label,
+                    bound: gate.bound,
+                    limit,
+                    actual: value,
+                    passed,
+                    ...(reason ? { reason } : {})
+                };
+            });
+
+        return { passed: results.every(result => result.passed), results };
+    }
+}
+
+module.exports = QualityGates;
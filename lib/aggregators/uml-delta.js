@@ -0,0 +1,94 @@
+/**
+ * 🔁 UML Delta - Entity-level changes between two consecutive analyses
+ *
+ * Unlike UMLDiff (a human report across releases), a delta is meant to be
+ * applied: replacing `updated`, adding `added` and dropping `removed` in the
+ * previous document yields the current one (up to ordering).
+ * - workspaces, packages, files and classes are matched by ID
+ * - edges by source, target and kind (`removed` lists those three)
+ * - top-level sections (complexityAnalysis, …) are replaced whole when they
+ *   changed; null means the section is gone
+ */
+
+const COLLECTIONS = {
+    workspaces: workspace => workspace.id,
+    packages: pkg => pkg.id,
+    files: file => file.id,
+    classes: cls => cls.id,
+    edges: edge => `${edge.source}|${edge.target}|${edge.kind}`
+};
+
+const SECTIONS = [
+    'project', 'idRenames',
+    'complexityAnalysis', 'gitAnalysis', 'importAnalysis', 'redundancyAnalysis', 'possibilityAnalysis'
+];
+
+class UMLDelta {
+    static compareCollection(previous = [], current = [], keyOf, removedEntry) {
+        const before = new Map(previous.map(item => [keyOf(item), item]));
+        const after = new Set();
+        const added = [];
+        const updated = [];
+
+        current.forEach(item => {
+            const key = keyOf(item);
+            after.add(key);
+            if (!before.has(key)) {
+                added.push(item);
+            } else if (JSON.stringify(before.get(key)) !== JSON.stringify(item)) {
+                updated.push(item);
+            }
+        });
+
+        const removed = previous
+            .filter(item => !after.has(keyOf(item)))
+            .map(removedEntry);
+
+        return { added, updated, removed };
+    }
+
+    /**
+     * @param {Object} previous - UML from the previous run
+     * @param {Object} current - UML from this run
+     * @param {Object} [meta] - { sequence, changedFiles } copied into the delta
+     */
+    static compute(previous, current, meta = {}) {
+        const delta = {
+            version: current.version,
+            sequence: meta.sequence ?? null,
+            generated: current.generated,
+            changedFiles: meta.changedFiles || []
+        };
+
+        Object.entries(COLLECTIONS).forEach(([collection, keyOf]) => {
+            delta[collection] = this.compareCollection(
+                previous[collection],
+                current[collection],
+                keyOf,
+                collection === 'edges'
+                    ? edge => ({ source: edge.source, target: edge.target, kind: edge.kind })
+                    : item => item.id
+            );
+        });
+
+        delta.sections = {};
+        SECTIONS.forEach(section => {
+            if (JSON.stringify(previous[section]) !== JSON.stringify(current[section])) {
+                delta.sections[section] = current[section] ?? null;
+            }
+        });
+
+        return delta;
+    }
+
+    /**
+     * True when the delta carries no change at all
+     */
+    static isEmpty(delta) {
+        return Object.keys(COLLECTIONS).every(collection =>
+            ['added', 'updated', 'removed'].every(kind => delta[collection][kind].length === 0)
+        ) && Object.keys(delta.sections).length === 0;
+    }
+}
+
+module.exports = UMLDelta;
@@ -0,0 +1,232 @@
+/**
+ * 🔀 UML Diff - What changed between two UML snapshots
+ *
+ * Compares two generated UML files (e.g. one city per release) and reports:
+ * - added, removed and moved classes (moves follow `idRenames`, then a
+ *   unique name + type match)
+ * - complexity and threat-level deltas for classes present in both
+ * - new and resolved unused exports
+ * - newly detected similarity pairs
+ *
+ * The result is plain JSON (written as diff.json) so SwarmDesk can highlight
+ * changed buildings via `highlights`, keyed by the new snapshot's class IDs.
+ */
+
+const THREAT_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+class UMLDiff {
+    /**
+     * Project classes to the fields the diff reports on.
+     */
+    static summarizeClass(cls) {
+        return {
+            id: cls.id,
+            name: cls.name,
+            type: cls.type,
+            filePath: cls.filePath
+        };
+    }
+
+    static threatLevel(cls) {
+        return cls.complexityMetrics?.threatLevel || null;
+    }
+
+    /**
+     * Pair classes across snapshots. Returns { pairs: [{ before, after, moved }], added, removed }.
+     */
+    static matchClasses(oldClasses, newClasses, idRenames = {}) {
+        const newById = new Map(newClasses.map(cls => [cls.id, cls]));
+        const unmatchedNew = new Set(newClasses.map(cls => cls.id));
+        const pairs = [];
+        const unmatchedOld = [];
+
+        // 1. Same stable ID
+        oldClasses.forEach(before => {
+            if (unmatchedNew.has(before.id)) {
+                unmatchedNew.delete(before.id);
+                pairs.push({ before, after: newById.get(before.id), moved: false });
+            } else {
+                unmatchedOld.push(before);
+            }
+        });
+
+        // 2. Renames git already knows about
+        const stillUnmatched = [];
+        unmatchedOld.forEach(before => {
+            const renamedId = idRenames[before.id];
+            if (renamedId && unmatchedNew.has(renamedId)) {
+                unmatchedNew.delete(renamedId);
+                pairs.push({ before, after: newById.get(renamedId), moved: true });
+            } else {
+                stillUnmatched.push(before);
+            }
+        });
+
+        // 3. A name + type that appears exactly once on each side
+        const key = cls => `${cls.type}:${cls.name}`;
+        const countKeys = classes => classes.reduce((counts, cls) => {
+            counts.set(key(cls), (counts.get(key(cls)) || 0) + 1);
+            return counts;
+        }, new Map());
+        const remainingNew = newClasses.filter(cls => unmatchedNew.has(cls.id));
+        const oldCounts = countKeys(stillUnmatched);
+        const newCounts = countKeys(remainingNew);
+        const newByKey = new Map(remainingNew.map(cls => [key(cls), cls]));
+
+        const removed = [];
+        stillUnmatched.forEach(before => {
+            const k = key(before);
+            if (oldCounts.get(k) === 1 && newCounts.get(k) === 1) {
+                const after = newByKey.get(k);
+                unmatchedNew.delete(after.id);
+                pairs.push({ before, after, moved: true });
+            } else {
+                removed.push(before);
+            }
+        });
+
+        const added = newClasses.filter(cls => unmatchedNew.has(cls.id));
+        return { pairs, added, removed };
+    }
+
+    static compareComplexity(pairs) {
+        const changes = [];
+        pairs.forEach(({ before, after }) => {
+            const oldComplexity = before.complexity || 0;
+            const newComplexity = after.complexity || 0;
+            const oldThreat = this.threatLevel(before);
+            const newThreat = this.threatLevel(after);
+            if (oldComplexity === newComplexity && oldThreat === newThreat) return;
+
+            changes.push({
+                id: after.id,
+                oldId: before.id,
+                name: after.name,
+                filePath: after.filePath,
+                complexity: { old: oldComplexity, new: newComplexity, delta: newComplexity - oldComplexity },
+                threatLevel: {
+                    old: oldThreat,
+                    new: newThreat,
+                    delta: THREAT_ORDER.indexOf(newThreat) - THREAT_ORDER.indexOf(oldThreat)
+                }
+            });
+        });
+
+        return changes.sort((a, b) =>
+            Math.abs(b.complexity.delta) - Math.abs(a.complexity.delta) || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Unused exports that appeared or went away. Old file paths are mapped
+     * through `movedFiles` so a moved file doesn't look like new dead code.
+     */
+    static compareUnusedExports(oldUml, newUml, movedFiles = new Map()) {
+        const key = e => `${e.file}::${e.exportName}`;
+        const oldKey = e => `${movedFiles.get(e.file) || e.file}::${e.exportName}`;
+        const oldExports = oldUml.importAnalysis?.unusedExports || [];
+        const newExports = newUml.importAnalysis?.unusedExports || [];
+        const oldKeys = new Set(oldExports.map(oldKey));
+        const newKeys = new Set(newExports.map(key));
+        const project = e => ({ file: e.file, exportName: e.exportName, exportType: e.exportType, line: e.line });
+
+        return {
+            added: newExports.filter(e => !oldKeys.has(key(e))).map(project),
+            resolved: oldExports.filter(e => !newKeys.has(oldKey(e))).map(project)
+        };
+    }
+
+    /**
+     * Similarity pairs in the new snapshot that weren't reported before.
+     * Old IDs are translated through the class matching so moves don't
+     * show up as new pairs.
+     */
+    static compareSimilarPairs(oldUml, newUml, oldToNewId) {
+        const pairKey = (a, b) => [a, b].sort().join('|');
+        const oldKeys = new Set((oldUml.redundancyAnalysis?.topSimilarPairs || []).map(pair =>
+            pairKey(oldToNewId.get(pair.class1Id) || pair.class1Id, oldToNewId.get(pair.class2Id) || pair.class2Id)));
+
+        return {
+            added: (newUml.redundancyAnalysis?.topSimilarPairs || [])
+                .filter(pair => !oldKeys.has(pairKey(pair.class1Id, pair.class2Id)))
+                .map(pair => ({
+                    class1Id: pair.class1Id,
+                    class1Name: pair.class1Name,
+                    class2Id: pair.class2Id,
+                    class2Name: pair.class2Name,
+                    similarityScore: pair.similarityScore,
+                    matchedMethods: pair.matchedMethods || []
+                }))
+        };
+    }
+
+    static describeSnapshot(uml) {
+        return {
+            project: uml.project?.name || null,
+            generated: uml.generated || null,
+            version: uml.version || null,
+            classCount: (uml.classes || []).filter(cls => !cls.isExternal).length
+        };
+    }
+
+    /**
+     * Compare two UML snapshots. External stubs are ignored: they aren't
+     * part of the analyzed codebase.
+     */
+    static compare(oldUml, newUml) {
+        const oldClasses = (oldUml.classes || []).filter(cls => !cls.isExternal);
+        const newClasses = (newUml.classes || []).filter(cls => !cls.isExternal);
+        const { pairs, added, removed } = this.matchClasses(oldClasses, newClasses, newUml.idRenames || {});
+
+        const moved = pairs.filter(pair => pair.moved).map(({ before, after }) => ({
+            id: after.id,
+            oldId: before.id,
+            name: after.name,
+            type: after.type,
+            oldFilePath: before.filePath,
+            newFilePath: after.filePath
+        }));
+        const complexityChanges = this.compareComplexity(pairs);
+        const movedFiles = new Map(moved.map(cls => [cls.oldFilePath, cls.newFilePath]));
+        const unusedExports = this.compareUnusedExports(oldUml, newUml, movedFiles);
+        const oldToNewId = new Map(pairs.map(({ before, after }) => [before.id, after.id]));
+        const similarPairs = this.compareSimilarPairs(oldUml, newUml, oldToNewId);
+
+        // Per-building status for SwarmDesk: added > moved > complexity direction
+        const highlights = {};
+        complexityChanges.forEach(change => {
+            highlights[change.id] = change.complexity.delta > 0 || change.threatLevel.delta > 0
+                ? 'complexity-up'
+                : 'complexity-down';
+        });
+        moved.forEach(cls => { highlights[cls.id] = 'moved'; });
+        added.forEach(cls => { highlights[cls.id] = 'added'; });
+
+        return {
+            version: '1.0',
+            generated: new Date().toISOString(),
+            old: this.describeSnapshot(oldUml),
+            new: this.describeSnapshot(newUml),
+            summary: {
+                added: added.length,
+                removed: removed.length,
+                moved: moved.length,
+                complexityChanged: complexityChanges.filter(c => c.complexity.delta !== 0).length,
+                threatLevelChanged: complexityChanges.filter(c => c.threatLevel.old !== c.threatLevel.new).length,
+                newUnusedExports: unusedExports.added.length,
+                resolvedUnusedExports: unusedExports.resolved.length,
+                newSimilarPairs: similarPairs.added.length
+            },
+            classes: {
+                added: added.map(cls => this.summarizeClass(cls)),
+                removed: removed.map(cls => this.summarizeClass(cls)),
+                moved
+            },
+            complexityChanges,
+            unusedExports,
+            similarPairs,
+            highlights
+        };
+    }
+}
+
+module.exports = UMLDiff;
@@ -0,0 +1,105 @@
+/**
+ * 💾 Analysis Cache - Persistent per-file results between runs
+ *
+ * Stores what's expensive and depends only on a file's content (TypeScript
+ * parse, complexity metrics, collected imports/exports) keyed by a hash of
+ * path + content, and raw git history keyed by the file's last commit SHA.
+ * Re-runs only re-analyze files that changed and still produce identical output.
+ *
+ * Layout:
+ *   .cartogomancy-cache/files/<contentKey>.json
+ *   .cartogomancy-cache/git/<lastCommitSha>-<pathKey>.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump whenever the shape of cached entries or the analysis producing them changes
+const CACHE_VERSION = '4';
+
+class AnalysisCache {
+    constructor(options = {}) {
+        this.cacheDir = options.cacheDir || path.join(options.projectRoot || process.cwd(), '.cartogomancy-cache');
+        // Extra key material, e.g. analyzer settings that change results
+        this.salt = options.salt || '';
+        this.hits = 0;
+        this.misses = 0;
+        this.writes = 0;
+    }
+
+    hash(...parts) {
+        return crypto.createHash('sha1').update([CACHE_VERSION, this.salt, ...parts].join('\0')).digest('hex');
+    }
+
+    entryPath(kind, key) {
+        return path.join(this.cacheDir, kind, `${key}.json`);
+    }
+
+    read(kind, key) {
+        try {
+            const entry = JSON.parse(fs.readFileSync(this.entryPath(kind, key), 'utf8'));
+            this.hits++;
+            return entry;
+        } catch (error) {
+            this.misses++;
+            return null;
+        }
+    }
+
+    write(kind, key, data) {
+        try {
+            const entryPath = this.entryPath(kind, key);
+            fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+            // Write-then-rename so an interrupted run never leaves a truncated entry
+            const tempPath = `${entryPath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data));
+            fs.renameSync(tempPath, entryPath);
+            this.writes++;
+        } catch (error) {
+            // A read-only or full disk only costs us the speed-up
+        }
+    }
+
+    /**
+     * Key for content-derived results of one source file.
+     */
+    fileKey(relativePath, content) {
+        return this.hash('file', relativePath.split(path.sep).join('/'), content);
+    }
+
+    getFile(key) {
+        return this.read('files', key);
+    }
+
+    setFile(key, data) {
+        this.write('files', key, data);
+    }
+
+    /**
+     * Key for a file's git history: unchanged until a new commit touches it.
+     */
+    gitKey(gitRelativePath, lastCommitSha) {
+        return `${lastCommitSha}-${this.hash('git', gitRelativePath).substring(0, 16)}`;
+    }
+
+    getGit(key) {
+        return this.read('git', key);
+    }
+
+    setGit(key, data) {
+        this.write('git', key, data);
+    }
+
+    getStats() {
+        const lookups = this.hits + this.misses;
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            writes: this.writes,
+            hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 100) : 0
+        };
+    }
+}
+
+module.exports = AnalysisCache;
@@ -0,0 +1,787 @@
+/**
+ * 🗺️ Analyze - The cartogomancy pipeline as a library call
+ *
+ * analyze(projectPath, options) scans a project, runs the analyzers and
+ * resolves to the v7.0 UML object. It never reads process.argv and is silent
+ * unless given a logger; the CLI, the TUI and programmatic callers all use it.
+ *
+ *   const { analyze, loadConfig } = require('@madnessengineering/cartogomancy');
+ *   const uml = await analyze('.', { ...loadConfig('.').config, logger: console });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const GitAnalyzer = require('./analyzers/git-analyzer');
+const ComplexityAnalyzer = require('./analyzers/complexity-analyzer');
+const ImportAnalyzer = require('./analyzers/import-analyzer');
+const RedundancyAnalyzer = require('./analyzers/redundancy-analyzer');
+const CoverageAnalyzer = require('./analyzers/coverage-analyzer');
+const AnalysisSummary = require('./aggregators/analysis-summary');
+const DependencyGraph = require('./aggregators/dependency-graph');
+const UMLDelta = require('./aggregators/uml-delta');
+const AnalysisCache = require('./analysis-cache');
+const { classId, packageId, fileId, buildRenameMap } = require('./stable-ids');
+const { TYPE_DEFINITION_KINDS, extractHooks, extractMethodsByRegex, extractFileFacts } = require('./parsers/source-parser');
+const WorkerPool = require('./workers/worker-pool');
+const { DEFAULT_CONFIG, mergeConfig } = require('./config');
+const { SourceFilter, findSourceFiles } = require('./source-files');
+const { discoverWorkspaces, workspaceIncludes, WorkspaceResolver } = require('./workspaces');
+const { ModuleResolver } = require('./module-resolver');
+const { findEntryPoints } = require('./entry-points');
+
+// Default logger: analyze() prints nothing unless asked to
+const SILENT_LOGGER = { log() {}, warn() {} };
+
+/**
+ * 🧾 Content-derived facts for one file (see extractFileFacts): reused from
+ * the persistent cache when the file is unchanged, otherwise extracted in
+ * this thread and written back to the cache.
+ */
+function loadFileFacts(filePath, relativePath, content, analyzers = {}) {
+    const cacheKey = analyzers.cache ? analyzers.cache.fileKey(relativePath, content) : null;
+    const cached = cacheKey ? analyzers.cache.getFile(cacheKey) : null;
+    if (cached && (cached.importFacts || !analyzers.importAnalyzer)) {
+        return cached;
+    }
+
+    const facts = extractFileFacts(filePath, content, {
+        complexityAnalyzer: analyzers.complexityAnalyzer,
+        importAnalyzer: analyzers.importAnalyzer
+    });
+    if (cacheKey) analyzers.cache.setFile(cacheKey, facts);
+    return facts;
+}
+
+/**
+ * 🔍 Analyze a single file (Enhanced with modular analyzers)
+ * Uses: GitAnalyzer, ComplexityAnalyzer, ImportAnalyzer, CoverageAnalyzer
+ *
+ * Returns { file, classes, imports }: a file-level grouping node, one UML
+ * entity per top-level declaration and the file's import records. Files
+ * without declarations yield a single `module` entity so they still appear
+ * in the city.
+ *
+ * `prepared` ({ content, facts }) skips reading and parsing when the facts
+ * were already extracted, e.g. by the worker pool in generateUML.
+ */
+function analyzeFile(filePath, projectRoot, analyzers = {}, prepared = null) {
+    const content = prepared ? prepared.content : fs.readFileSync(filePath, 'utf8');
+    const relativePath = path.relative(projectRoot, filePath);
+    const fileName = path.basename(filePath, path.extname(filePath));
+    const packagePath = path.dirname(relativePath);
+
+    // Parse results, complexity and collected imports/exports
+    const facts = prepared ? prepared.facts : loadFileFacts(filePath, relativePath, content, analyzers);
+    const tsResults = facts.tsResults;
+
+    // Register imports/exports with ImportAnalyzer
+    if (analyzers.importAnalyzer) {
+        analyzers.importAnalyzer.loadCollected(filePath, facts.importFacts);
+        analyzers.importAnalyzer.collectFileStats(filePath);
+    }
+
+    // Detect React file
+    const isReactFile = /export\s+(?:default\s+)?(?:function|const|class)\s+(\w+)/.test(content) &&
+                        (content.includes('import React') || content.includes('from \'react\'') || content.includes('from "react"'));
+
+    // Complexity per declaration name ('' for the whole file)
+    const measureComplexity = (name) => Object.prototype.hasOwnProperty.call(facts.complexity, name)
+        ? facts.complexity[name]
+        : facts.complexity[''];
+
+    // Use GitAnalyzer for full git metrics (replaces getGitMetrics)
+    let gitMetrics;
+    if (analyzers.gitAnalyzer) {
+        gitMetrics = analyzers.gitAnalyzer.analyzeFile(relativePath);
+    } else {
+        gitMetrics = { commitCount: 0, lastCommit: null, isGitTracked: false };
+    }
+
+    // Use CoverageAnalyzer
+    let coverageMetrics = { hasCoverage: false, overallCoverage: 0 };
+    if (analyzers.coverageAnalyzer) {
+        coverageMetrics = analyzers.coverageAnalyzer.analyzeFile(filePath);
+    }
+
+    const testMetrics = {
+        exists: fs.existsSync(filePath.replace(/\.(jsx?|tsx?|[cm]js)$/, '.test$&')),
+        coverage: coverageMetrics.overallCoverage || 0
+    };
+
+    const fileComplexity = measureComplexity('');
+    const file = {
+        id: fileId(relativePath),
+        name: path.basename(relativePath),
+        path: relativePath,
+        package: packagePath || 'root',
+        classes: [],
+        metrics: {
+            lines: fileComplexity.linesOfCode || content.split('\n').length,
+            complexity: fileComplexity.cyclomaticComplexity,
+            threatLevel: fileComplexity.threatLevel
+        }
+    };
+
+    const usedIds = new Set();
+    const buildEntity = (declaration) => {
+        const { name, type, subtype, methods = [], fields = [], location } = declaration;
+        const text = location ? content.substring(location.start, location.end) : content;
+        const complexityResult = location ? measureComplexity(name) : fileComplexity;
+        const complexityMetrics = {
+            cyclomaticComplexity: complexityResult.cyclomaticComplexity,
+            cognitiveComplexity: complexityResult.cognitiveComplexity,
+            nestingDepth: complexityResult.nestingDepth,
+            linesOfCode: complexityResult.linesOfCode,
+            methodCount: methods.length,
+            threatLevel: complexityResult.threatLevel,
+            threatColor: complexityResult.threatColor,
+            label: complexityResult.label,
+            suggestions: complexityResult.suggestions
+        };
+        const lines = complexityMetrics.linesOfCode || text.split('\n').length;
+
+        // Same-named declarations in one file (rare) get a disambiguated ID
+        let id = classId(relativePath, name);
+        for (let n = 2; usedIds.has(id); n++) {
+            id = classId(relativePath, `${name}#${n}`);
+        }
+        usedIds.add(id);
+
+        const entity = {
+            id,
+            name,
+            type,
+            subtype,
+            package: packagePath || 'root',
+            filePath: relativePath,
+            fileId: file.id,
+            location: location ? { startLine: location.startLine, endLine: location.endLine } : null,
+            isExported: !!declaration.isExported,
+            isDefaultExport: !!declaration.isDefaultExport,
+            methods,
+            fields,
+            hooks: TYPE_DEFINITION_KINDS.includes(type) ? [] : extractHooks(text).filter(hook => hook !== name),
+            // Resolved file paths, filled in by DependencyGraph once every file is known
+            dependencies: [],
+            extends: Array.isArray(declaration.extends) ? declaration.extends : declaration.extends ? [declaration.extends] : [],
+            implements: declaration.implements || [],
+            complexity: complexityMetrics.cyclomaticComplexity,
+            complexityMetrics,
+            coverageMetrics,
+            metrics: {
+                lines,
+                complexity: complexityMetrics.cyclomaticComplexity,
+                methodCount: methods.length,
+                coverage: coverageMetrics.overallCoverage || 0
+            },
+            gitMetrics,
+            testMetrics
+        };
+
+        if (type === 'function') {
+            entity.signature = declaration.signature;
+            entity.parameters = declaration.parameters;
+            entity.returnType = declaration.returnType;
+            entity.isAsync = declaration.isAsync;
+        } else if (type === 'type') {
+            entity.aliasOf = declaration.aliasOf;
+        } else if (type === 'enum') {
+            entity.isConst = declaration.isConst;
+        }
+
+        return entity;
+    };
+
+    const declarations = [
+        ...tsResults.classes.map(cls => ({
+            ...cls,
+            type: 'class',
+            subtype: isReactFile && /Component$/.test(cls.extends || '') ? 'react_component' : 'utility'
+        })),
+        ...tsResults.functions.map(fn => ({
+            ...fn,
+            type: 'function',
+            subtype: /^use[A-Z]/.test(fn.name) ? 'hook'
+                : isReactFile && /^[A-Z]/.test(fn.name) ? 'react_component'
+                : 'utility'
+        })),
+        ...tsResults.interfaces.map(def => ({
+            ...def,
+            type: def.kind,
+            subtype: 'type_definition'
+        }))
+    ].sort((a, b) => a.location.start - b.location.start);
+
+    if (declarations.length === 0) {
+        declarations.push({
+            name: fileName,
+            type: 'module',
+            subtype: isReactFile ? 'react_component' : 'utility',
+            methods: extractMethodsByRegex(content),
+            isExported: /\bexport\b|module\.exports|exports\./.test(content),
+            location: null
+        });
+    }
+
+    const classes = declarations.map(buildEntity);
+    file.classes = classes.map(c => c.id);
+
+    // Attribute each imported binding to the entities that reference it, and
+    // inline require()/import() calls to the declaration they sit in;
+    // anything only top-level code uses belongs to the file node
+    const imports = tsResults.imports.map(record => ({
+        ...record,
+        usedBy: classes
+            .filter((cls, i) => declarations[i].location &&
+                record.position >= declarations[i].location.start && record.position < declarations[i].location.end)
+            .map(cls => cls.id),
+        symbols: record.symbols.map(symbol => ({
+            ...symbol,
+            usedBy: symbol.local
+                ? classes.filter((cls, i) => cls.type === 'module' || (declarations[i].uses || []).includes(symbol.local)).map(cls => cls.id)
+                : []
+        }))
+    }));
+
+    return { file, classes, imports };
+}
+
+// Below this many uncached files per worker, thread startup costs more than it saves
+const MIN_FILES_PER_WORKER = 25;
+
+/**
+ * 🧵 Read every file and extract its content-derived facts, fanning cache
+ * misses out to a worker pool when there are enough of them. Returns one
+ * { content, facts } (or { error }) per file, in the same order as `files`.
+ */
+async function prepareFiles(files, projectRoot, analyzers, jobCount, logger = SILENT_LOGGER) {
+    const prepared = files.map(filePath => {
+        try {
+            const content = fs.readFileSync(filePath, 'utf8');
+            const relativePath = path.relative(projectRoot, filePath);
+            const cacheKey = analyzers.cache ? analyzers.cache.fileKey(relativePath, content) : null;
+            const cached = cacheKey ? analyzers.cache.getFile(cacheKey) : null;
+            const usable = cached && (cached.importFacts || !analyzers.importAnalyzer);
+            return { content, cacheKey, facts: usable ? cached : null };
+        } catch (error) {
+            return { error: error.message };
+        }
+    });
+
+    const pending = prepared.map((entry, i) => i).filter(i => !prepared[i].error && !prepared[i].facts);
+    const workerCount = Math.min(jobCount, Math.floor(pending.length / MIN_FILES_PER_WORKER));
+
+    if (workerCount > 1) {
+        logger.log(`🧵 Parsing ${pending.length} files on ${workerCount} worker threads`);
+        const pool = new WorkerPool(path.join(__dirname, 'workers', 'analyze-worker.js'), workerCount);
+        const results = await pool.run(pending.map(i => ({
+            filePath: files[i],
+            content: prepared[i].content,
+            complexity: !!analyzers.complexityAnalyzer,
+            thresholds: analyzers.complexityAnalyzer ? analyzers.complexityAnalyzer.thresholds : null,
+            imports: !!analyzers.importAnalyzer
+        })));
+        results.forEach((result, n) => {
+            const entry = prepared[pending[n]];
+            if (result.error) {
+                entry.error = result.error;
+            } else {
+                entry.facts = result;
+            }
+        });
+    } else {
+        pending.forEach(i => {
+            try {
+                prepared[i].facts = extractFileFacts(files[i], prepared[i].content, {
+                    complexityAnalyzer: analyzers.complexityAnalyzer,
+                    importAnalyzer: analyzers.importAnalyzer
+                });
+            } catch (error) {
+                prepared[i].error = error.message;
+            }
+        });
+    }
+
+    pending.forEach(i => {
+        const entry = prepared[i];
+        if (entry.cacheKey && entry.facts) analyzers.cache.setFile(entry.cacheKey, entry.facts);
+    });
+
+    return prepared;
+}
+
+/**
+ * 🧠 Analysis Session - One project's analyzers, kept alive between runs
+ *
+ * run() does a full analysis. update(paths) re-analyzes only the given files
+ * (plus any that appeared or disappeared) against the analyzers' in-memory
+ * state, rebuilds edges and summaries, and returns the new UML with a delta
+ * of what changed. Watch mode and the live server drive a session; analyze()
+ * is a single run().
+ */
+class AnalysisSession {
+    /**
+     * @param {string} projectPath - project root
+     * @param {Object} [options] - same as analyze()
+     */
+    constructor(projectPath, options = {}) {
+        const { projectName, logger = SILENT_LOGGER, onProgress = () => {}, ...config } = options;
+        this.settings = mergeConfig(DEFAULT_CONFIG, config);
+        this.logger = logger;
+        this.onProgress = onProgress;
+
+        this.projectPath = path.resolve(projectPath);
+        if (!fs.existsSync(this.projectPath)) {
+            throw new Error(`Path does not exist: ${this.projectPath}`);
+        }
+        this.projectName = projectName || path.basename(this.projectPath);
+
+        // Absolute file path → analyzeFile() result, in findSourceFiles order
+        this.results = new Map();
+        this.umlData = null;
+        this.workspaceResolver = new WorkspaceResolver(this.projectPath, []);
+        this.moduleResolver = new ModuleResolver(this.projectPath);
+        // Bumped by run() and by every update() that changes something; deltas
+        // carry it so consumers can detect gaps
+        this.sequence = 0;
+    }
+
+    createAnalyzers() {
+        const { settings, logger, projectPath } = this;
+
+        const analyzers = {
+            complexityAnalyzer: new ComplexityAnalyzer({ thresholds: settings.complexity }),
+            importAnalyzer: settings.analyzers.imports ? new ImportAnalyzer({ resolver: this.moduleResolver }) : null,
+            coverageAnalyzer: new CoverageAnalyzer({
+                projectRoot: projectPath,
+                coveragePath: settings.coveragePath,
+                logger
+            })
+        };
+
+        if (settings.cache) {
+            // Threat levels are cached with each file, so thresholds are part of the key
+            analyzers.cache = new AnalysisCache({
+                projectRoot: projectPath,
+                cacheDir: settings.cacheDir,
+                salt: JSON.stringify(analyzers.complexityAnalyzer.thresholds)
+            });
+            logger.log(`💾 Analysis cache: ${analyzers.cache.cacheDir} (use --no-cache to skip)`);
+        }
+
+        if (settings.analyzers.git) {
+            logger.log('📜 Git analysis enabled (use --no-git to skip)');
+            analyzers.gitAnalyzer = new GitAnalyzer({ projectRoot: projectPath, persistentCache: analyzers.cache });
+        }
+
+        return analyzers;
+    }
+
+    /**
+     * Re-read the monorepo's workspace declarations (none when the
+     * `workspaces` setting is off) and start a fresh module resolver, so
+     * edited tsconfig and package.json files take effect
+     */
+    loadResolvers() {
+        const workspaces = this.settings.workspaces ? discoverWorkspaces(this.projectPath) : [];
+        this.workspaceResolver = new WorkspaceResolver(this.projectPath, workspaces);
+        this.moduleResolver = new ModuleResolver(this.projectPath, { workspaces: this.workspaceResolver });
+        if (this.analyzers && this.analyzers.importAnalyzer) {
+            this.analyzers.importAnalyzer.resolver = this.moduleResolver;
+        }
+        return workspaces;
+    }
+
+    /**
+     * SourceFilter options; include patterns also apply inside each workspace
+     */
+    sourceOptions() {
+        const { include, exclude, gitignore } = this.settings;
+        return { include: workspaceIncludes(include, this.workspaceResolver.workspaces), exclude, gitignore };
+    }
+
+    findFiles() {
+        const { include, exclude, ...options } = this.sourceOptions();
+        return findSourceFiles(this.projectPath, include, exclude, options);
+    }
+
+    /**
+     * Whether an absolute path is a source file in the project that is not
+     * excluded, analyzed or not: entry points and their imports may sit
+     * outside the include patterns
+     */
+    isProjectSource(filePath) {
+        const relativePath = path.relative(this.projectPath, filePath);
+        if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) return false;
+
+        this.sourceFilter = this.sourceFilter || new SourceFilter(this.projectPath, this.sourceOptions());
+        if (!this.sourceFilter.isSourceFile(filePath) || this.sourceFilter.isExcluded(relativePath)) return false;
+        try {
+            return fs.statSync(filePath).isFile();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Analyze `files` (already prepared) into this.results; failures are logged and skipped
+     */
+    analyzeFiles(files, prepared, onFileDone = () => {}) {
+        for (const [index, filePath] of files.entries()) {
+            try {
+                if (prepared[index].error) throw new Error(prepared[index].error);
+                this.results.set(filePath, analyzeFile(filePath, this.projectPath, this.analyzers, prepared[index]));
+            } catch (error) {
+                this.logger.warn(`⚠️ Error analyzing ${filePath}: ${error.message}`);
+            }
+            onFileDone(index);
+        }
+    }
+
+    /**
+     * Forget everything the analyzers remember about one file
+     */
+    invalidate(filePath) {
+        this.results.delete(filePath);
+        this.analyzers.complexityAnalyzer.invalidate(filePath);
+        if (this.analyzers.importAnalyzer) this.analyzers.importAnalyzer.removeFile(filePath);
+        if (this.analyzers.gitAnalyzer) this.analyzers.gitAnalyzer.invalidate(path.relative(this.projectPath, filePath));
+    }
+
+    /**
+     * 🏗️ Full analysis
+     * @returns {Promise<Object>} UML v7.0 data
+     */
+    async run() {
+        const { settings, logger, onProgress, projectPath } = this;
+
+        logger.log(`🔍 Analyzing project: ${projectPath}`);
+        logger.log(`📦 Include patterns: ${settings.include.join(', ')}`);
+        logger.log(`🚫 Exclude patterns: ${settings.exclude.join(', ')}`);
+
+        this.analyzers = null;
+        const workspaces = this.loadResolvers();
+        if (workspaces.length > 0) {
+            logger.log(`🏘️  Found ${workspaces.length} workspaces: ${workspaces.map(ws => ws.name).join(', ')}`);
+        }
+        this.analyzers = this.createAnalyzers();
+        this.results.clear();
+
+        // Find all source files
+        const files = this.findFiles();
+        logger.log(`📄 Found ${files.length} source files`);
+        onProgress({ phase: 'scan', completed: files.length, total: files.length });
+
+        // Parsing and complexity run in parallel; everything after is merged in file order
+        onProgress({ phase: 'parse', completed: 0, total: files.length });
+        const prepared = await prepareFiles(files, projectPath, this.analyzers, settings.jobs || os.cpus().length, logger);
+        onProgress({ phase: 'parse', completed: files.length, total: files.length });
+
+        this.analyzeFiles(files, prepared, index => {
+            onProgress({ phase: 'analyze', completed: index + 1, total: files.length });
+        });
+
+        onProgress({ phase: 'summarize', completed: 0, total: 1 });
+        this.umlData = this.build(files, logger);
+        this.sequence++;
+
+        // Log git analyzer cache stats
+        if (this.analyzers.gitAnalyzer) {
+            const stats = this.analyzers.gitAnalyzer.getCacheStats();
+            logger.log(`📜 Git cache: ${stats.cacheSize} files, ${stats.hitRate}% hit rate`);
+        }
+
+        if (this.analyzers.cache) {
+            const stats = this.analyzers.cache.getStats();
+            logger.log(`💾 Analysis cache: ${stats.hits} hits, ${stats.misses} misses (${stats.hitRate}% hit rate)`);
+        }
+
+        // Log analysis section status
+        const sections = ['complexityAnalysis', 'gitAnalysis', 'importAnalysis', 'redundancyAnalysis', 'possibilityAnalysis'];
+        sections.forEach(section => {
+            const status = this.umlData[section] ? '✅' : '⬜';
+            logger.log(`${status} ${section}`);
+        });
+
+        onProgress({ phase: 'done', completed: 1, total: 1 });
+        return this.umlData;
+    }
+
+    /**
+     * 🔁 Incremental re-analysis after files changed on disk
+     *
+     * Changed files are re-parsed; files that were added, deleted or moved in
+     * or out of the include/exclude patterns are picked up from a fresh
+     * directory scan. Edges and summaries are always rebuilt because a change
+     * in one file can affect imports and similarity everywhere.
+     *
+     * @param {string[]} changedPaths - absolute or project-relative paths
+     * @returns {Promise<{ umlData: Object, delta: Object }>} new UML and the
+     *   entities that changed since the previous run (see UMLDelta). When
+     *   nothing changed, the delta is empty and keeps the current sequence.
+     */
+    async update(changedPaths) {
+        if (!this.umlData) {
+            throw new Error('update() needs a completed run()');
+        }
+
+        const changed = new Set(changedPaths.map(changedPath => path.resolve(this.projectPath, changedPath)));
+        changed.forEach(filePath => this.invalidate(filePath));
+        // A manifest or tsconfig edit can add or drop workspaces and aliases
+        this.loadResolvers();
+        // …and an ignore file edit can exclude or restore files outside the analyzed set
+        this.sourceFilter = null;
+
+        const files = this.findFiles();
+        const fileSet = new Set(files);
+        [...this.results.keys()]
+            .filter(filePath => !fileSet.has(filePath))
+            .forEach(filePath => this.invalidate(filePath));
+
+        const touched = files.filter(filePath => !this.results.has(filePath));
+        const prepared = await prepareFiles(touched, this.projectPath, this.analyzers, this.settings.jobs || os.cpus().length);
+        this.analyzeFiles(touched, prepared);
+        if (this.analyzers.importAnalyzer) this.analyzers.importAnalyzer.orderFiles(files);
+
+        // Summaries are rebuilt quietly; only real problems reach the logger
+        const previous = this.umlData;
+        this.umlData = this.build(files, { log() {}, warn: (...args) => this.logger.warn(...args) });
+
+        // Only updates that change something get a new sequence number
+        const changedFiles = [...new Set([...changed, ...touched])]
+            .map(filePath => path.relative(this.projectPath, filePath));
+        const delta = UMLDelta.compute(previous, this.umlData, { sequence: this.sequence + 1, changedFiles });
+        if (UMLDelta.isEmpty(delta)) {
+            this.umlData = previous;
+            delta.sequence = this.sequence;
+        } else {
+            this.sequence++;
+        }
+        return { umlData: this.umlData, delta };
+    }
+
+    /**
+     * Assemble UML data from the per-file results: workspaces, packages,
+     * external stubs, edges, project metadata and the top-level analysis
+     * sections.
+     */
+    build(files, logger) {
+        const { settings, projectPath, workspaceResolver } = this;
+        let projectName = this.projectName;
+
+        // Summaries annotate entities in place, so each build works on copies
+        const classes = [];
+        const sourceFiles = [];
+        const fileImports = new Map();
+        const packages = new Map();
+        const workspaces = new Map(workspaceResolver.workspaces.map(ws => [ws.name, {
+            id: ws.id,
+            name: ws.name,
+            version: ws.version,
+            description: ws.description,
+            path: ws.path,
+            packages: [],
+            files: [],
+            classes: []
+        }]));
+
+        files.forEach(filePath => {
+            if (!this.results.has(filePath)) return;
+            // Results are plain JSON (they round-trip through the cache), so a JSON copy is a deep copy
+            const { file, classes: fileClasses, imports } = JSON.parse(JSON.stringify(this.results.get(filePath)));
+
+            // Monorepo district the file belongs to
+            const workspace = workspaceResolver.workspaceOf(file.path);
+            if (workspace) {
+                file.workspace = workspace.name;
+                fileClasses.forEach(cls => { cls.workspace = workspace.name; });
+                workspaces.get(workspace.name).files.push(file.id);
+                workspaces.get(workspace.name).classes.push(...file.classes);
+            }
+
+            classes.push(...fileClasses);
+            sourceFiles.push(file);
+            fileImports.set(file.path, imports);
+
+            // Group by package
+            const pkgPath = file.package;
+            if (!packages.has(pkgPath)) {
+                packages.set(pkgPath, {
+                    id: packageId(pkgPath),
+                    name: pkgPath.split('/').pop() || 'root',
+                    path: pkgPath,
+                    files: [],
+                    classes: []
+                });
+                if (workspace) {
+                    packages.get(pkgPath).workspace = workspace.name;
+                    workspaces.get(workspace.name).packages.push(packageId(pkgPath));
+                }
+            }
+            packages.get(pkgPath).files.push(file.id);
+            packages.get(pkgPath).classes.push(...file.classes);
+        });
+        // 🔗 CREATE STUB CLASSES FOR EXTERNAL DEPENDENCIES
+        const definedClasses = new Set(classes.map(c => c.name));
+        const externalClasses = new Map();
+
+        // Parents named by `implements` or by an interface's `extends` are interfaces
+        const addExternal = (name, type) => {
+            if (definedClasses.has(name)) return;
+            if (externalClasses.get(name) !== 'class') externalClasses.set(name, type);
+        };
+
+        classes.forEach(classData => {
+            if (classData.extends && classData.extends.length > 0) {
+                const parentType = classData.type === 'class' ? 'class' : 'interface';
+                classData.extends.forEach(parentClass => addExternal(parentClass, parentType));
+            }
+            if (classData.implements && classData.implements.length > 0) {
+                classData.implements.forEach(interfaceName => addExternal(interfaceName, 'interface'));
+            }
+        });
+
+        if (externalClasses.size > 0) {
+            logger.log(`📦 Creating ${externalClasses.size} stub classes for external dependencies`);
+
+            const externalPkgPath = 'external';
+            if (!packages.has(externalPkgPath)) {
+                packages.set(externalPkgPath, {
+                    id: 'package_external',
+                    name: 'External Libraries',
+                    path: externalPkgPath,
+                    files: [],
+                    classes: []
+                });
+            }
+
+            externalClasses.forEach((stubType, className) => {
+                const stubClass = {
+                    id: `external_${className.replace(/\./g, '_').toLowerCase()}`,
+                    name: className,
+                    type: stubType,
+                    subtype: 'external',
+                    package: externalPkgPath,
+                    filePath: `external/${className}`,
+                    methods: [],
+                    fields: [],
+                    hooks: [],
+                    dependencies: [],
+                    extends: [],
+                    implements: [],
+                    complexity: 0,
+                    complexityMetrics: {
+                        cyclomaticComplexity: 0,
+                        cognitiveComplexity: 0,
+                        nestingDepth: 0,
+                        linesOfCode: 75,
+                        methodCount: 0,
+                        threatLevel: 'EXTERNAL',
+                        threatColor: 'gray',
+                        label: 'External Library',
+                        suggestions: []
+                    },
+                    coverageMetrics: { hasCoverage: false, overallCoverage: 0 },
+                    metrics: { lines: 75, complexity: 0, methodCount: 0, coverage: 0 },
+                    isExternal: true
+                };
+
+                classes.push(stubClass);
+                packages.get(externalPkgPath).classes.push(stubClass.id);
+            });
+        }
+
+        // 🛣️ Resolve imports and inheritance into typed edges
+        const dependencyGraph = new DependencyGraph({
+            projectRoot: projectPath,
+            importAnalyzer: this.analyzers.importAnalyzer,
+            resolver: this.moduleResolver
+        });
+        const edges = dependencyGraph.buildEdges(sourceFiles, classes, fileImports);
+        logger.log(`🛣️  Resolved ${edges.length} dependency edges`);
+
+        // Get project metadata
+        let projectDescription = 'Codebase visualization';
+        let projectLanguage = 'JavaScript';
+
+        const packageJsonPath = path.join(projectPath, 'package.json');
+        if (fs.existsSync(packageJsonPath)) {
+            try {
+                const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+                projectName = packageJson.name || projectName;
+                projectDescription = packageJson.description || projectDescription;
+            } catch (error) {
+                logger.warn(`⚠️ Could not read package.json: ${error.message}`);
+            }
+        }
+
+        // Build base UML structure
+        let umlData = {
+            version: '7.0',
+            generated: new Date().toISOString(),
+            project: {
+                name: projectName,
+                description: projectDescription,
+                language: projectLanguage
+            },
+            ...(workspaces.size > 0 ? { workspaces: Array.from(workspaces.values()) } : {}),
+            packages: Array.from(packages.values()),
+            files: sourceFiles,
+            classes,
+            edges,
+            idRenames: buildRenameMap(classes)
+        };
+
+        // Attach top-level analysis sections (consumed by SwarmDesk floating panels)
+        logger.log('\n📊 Generating analysis summaries...');
+        const redundancyAnalyzer = settings.analyzers.redundancy ? new RedundancyAnalyzer({
+            similarityThreshold: settings.redundancy.threshold,
+            minMethodsForComparison: settings.redundancy.minMethods,
+            weights: settings.redundancy.weights,
+            logger
+        }) : null;
+
+        // Reachability starts from the files the project is run or imported through
+        const isProjectSource = filePath => this.isProjectSource(filePath);
+        const entryPoints = this.analyzers.importAnalyzer
+            ? findEntryPoints(projectPath, files.filter(filePath => this.results.has(filePath)), {
+                patterns: settings.entryPoints,
+                workspaces: workspaceResolver.workspaces,
+                isSourceFile: isProjectSource,
+                logger
+            })
+            : [];
+
+        umlData = AnalysisSummary.attachToUML(umlData, {
+            importAnalyzer: this.analyzers.importAnalyzer,
+            entryPoints,
+            isProjectSource,
+            redundancyAnalyzer,
+            projectRoot: projectPath,
+            noMadTinker: !settings.analyzers.madTinker,
+            wildness: settings.wildness,
+            logger
+        });
+
+        return umlData;
+    }
+}
+
+/**
+ * 🏗️ Analyze a project and build its UML data
+ *
+ * @param {string} projectPath - project root
+ * @param {Object} [options] - any config settings (see DEFAULT_CONFIG in lib/config.js), plus:
+ *   - projectName: used when package.json has no name (default: the directory name)
+ *   - logger: { log, warn } that receives progress messages, e.g. `console` (default: silent)
+ *   - onProgress: called with { phase, completed, total } for the
+ *     'scan', 'parse', 'analyze', 'summarize' and 'done' phases
+ * @returns {Promise<Object>} UML v7.0 data
+ */
+async function analyze(projectPath, options = {}) {
+    return new AnalysisSession(projectPath, options).run();
+}
+
+module.exports = { analyze, analyzeFile, findSourceFiles, AnalysisSession };
@@ -10,13 +10,31 @@
 
 const ts = require('typescript');
 
+// Lowest cyclomatic/cognitive complexity at which each threat level starts
+const DEFAULT_THRESHOLDS = {
+    MEDIUM: { cyclomatic: 6, cognitive: 6 },
+    HIGH: { cyclomatic: 11, cognitive: 11 },
+    CRITICAL: { cyclomatic: 21, cognitive: 16 }
+};
+
 class ComplexityAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} options - { thresholds }: per-level overrides of DEFAULT_THRESHOLDS
+     *   (the project config's `complexity` section)
+     */
+    constructor(options = {}) {
+        const overrides = options.thresholds || {};
+        this.thresholds = {};
+        Object.keys(DEFAULT_THRESHOLDS).forEach(level => {
+            this.thresholds[level] = { ...DEFAULT_THRESHOLDS[level], ...overrides[level] };
+        });
+
+        const { MEDIUM, HIGH, CRITICAL } = this.thresholds;
         this.THREAT_LEVELS = {
-            LOW: { cyclomatic: [0, 5], cognitive: [0, 5], color: 'green', label: 'LOW' },
-            MEDIUM: { cyclomatic: [6, 10], cognitive: [6, 10], color: 'yellow', label: 'MEDIUM' },
-            HIGH: { cyclomatic: [11, 20], cognitive: [11, 15], color: 'orange', label: 'HIGH' },
-            CRITICAL: { cyclomatic: [21, Infinity], cognitive: [16, Infinity], color: 'red', label: 'CRITICAL' }
+            LOW: { cyclomatic: [0, MEDIUM.cyclomatic - 1], cognitive: [0, MEDIUM.cognitive - 1], color: 'green', label: 'LOW' },
+            MEDIUM: { cyclomatic: [MEDIUM.cyclomatic, HIGH.cyclomatic - 1], cognitive: [MEDIUM.cognitive, HIGH.cognitive - 1], color: 'yellow', label: 'MEDIUM' },
+            HIGH: { cyclomatic: [HIGH.cyclomatic, CRITICAL.cyclomatic - 1], cognitive: [HIGH.cognitive, CRITICAL.cognitive - 1], color: 'orange', label: 'HIGH' },
+            CRITICAL: { cyclomatic: [CRITICAL.cyclomatic, Infinity], cognitive: [CRITICAL.cognitive, Infinity], color: 'red', label: 'CRITICAL' }
         };
         this.complexityCache = new Map();
     }
@@ -242,6 +260,18 @@ class ComplexityAnalyzer {
         this.complexityCache.set(filePath, result);
         return result;
     }
+
+    /**
+     * Drop cached results for a file and its declarations (`path#name` keys)
+     */
+    invalidate(filePath) {
+        const prefix = `${filePath}#`;
+        [...this.complexityCache.keys()]
+            .filter(key => key === filePath || key.startsWith(prefix))
+            .forEach(key => this.complexityCache.delete(key));
+    }
 }
 
+ComplexityAnalyzer.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+
 module.exports = ComplexityAnalyzer;
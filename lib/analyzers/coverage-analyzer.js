@@ -15,6 +15,7 @@ class CoverageAnalyzer {
     constructor(options = {}) {
         this.projectRoot = options.projectRoot || process.cwd();
         this.coveragePath = options.coveragePath || 'coverage/coverage-summary.json';
+        this.logger = options.logger || console;
         this.coverageData = null;
         this.coverageLoaded = false;
     }
@@ -31,10 +32,10 @@ class CoverageAnalyzer {
             }
 
             this.coverageData = JSON.parse(fs.readFileSync(coverageFilePath, 'utf8'));
-            console.log(`📊 Loaded coverage data from ${this.coveragePath}`);
+            this.logger.log(`📊 Loaded coverage data from ${this.coveragePath}`);
             return this.coverageData;
         } catch (error) {
-            console.warn(`⚠️  Failed to load coverage data: ${error.message}`);
+            this.logger.warn(`⚠️  Failed to load coverage data: ${error.message}`);
             this.coverageData = null;
             return null;
         }
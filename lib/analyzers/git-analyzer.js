@@ -2,18 +2,23 @@
  * 📜 Git Analyzer - Extract git history metrics for codebase evolution tracking
  *
  * Ported from generateUML.js.deprecated GitAnalyzer class.
- * Provides: commitCount, contributors[], churnRate, bugFixRatio, fileAge
+ * Provides: commitCount, contributors[], churnRate, bugFixRatio, fileAge, previousPaths[]
  * Unlocks: Churn Rate, Staleness, and Activity Level color modes in SwarmDesk
  *
- * PERFORMANCE: Uses single batched git log command per file with aggressive caching.
+ * PERFORMANCE: Uses single batched git log command per file with aggressive caching,
+ * optionally persisted to disk keyed by each file's last commit SHA.
  */
 
 const { execSync } = require('child_process');
+const path = require('path');
 
 class GitAnalyzer {
     constructor(options = {}) {
         this.projectRoot = options.projectRoot || process.cwd();
         this.gitCache = new Map();
+        // Optional AnalysisCache for raw history that survives between runs
+        this.persistentCache = options.persistentCache || null;
+        this.lastCommitShas = null;
         this.isGitRepo = this.checkIfGitRepo();
         this.cacheHits = 0;
         this.cacheMisses = 0;
@@ -36,6 +41,8 @@ class GitAnalyzer {
     /**
      * Analyze complete git metrics for a file (with caching).
      * Single batched git log command extracts everything at once.
+     * With a persistent AnalysisCache, the parsed log is reused across runs
+     * until a new commit touches the file.
      */
     analyzeFile(filePath) {
         if (!this.isGitRepo) {
@@ -50,86 +57,26 @@ class GitAnalyzer {
         this.cacheMisses++;
 
         // Resolve to path relative to git root (handles monorepo subdirectories)
-        const path = require('path');
         const absolutePath = path.resolve(this.projectRoot, filePath);
-        const gitRelativePath = path.relative(this.gitRoot, absolutePath);
+        const gitRelativePath = path.relative(this.gitRoot, absolutePath).split(path.sep).join('/');
 
         try {
-            const logResult = execSync(
-                `git log --follow --numstat --format="COMMIT|%ai|%an|%ae|%s|%h" -- "${gitRelativePath}"`,
-                { cwd: this.gitRoot, encoding: 'utf8', timeout: 5000 }
-            );
-
-            if (!logResult.trim()) {
-                const empty = this.emptyMetrics();
-                this.gitCache.set(filePath, empty);
-                return empty;
-            }
-
-            const lines = logResult.trim().split('\n');
-            const commits = [];
-            let currentCommit = null;
-            const contributorsMap = new Map();
-            let totalAdded = 0;
-            let totalDeleted = 0;
-            let bugFixCount = 0;
+            const lastCommitSha = this.persistentCache ? this.getLastCommitSha(gitRelativePath) : null;
+            const persistentKey = lastCommitSha ? this.persistentCache.gitKey(gitRelativePath, lastCommitSha) : null;
+            let summary = persistentKey ? this.persistentCache.getGit(persistentKey) : null;
 
-            lines.forEach(line => {
-                if (line.startsWith('COMMIT|')) {
-                    if (currentCommit) commits.push(currentCommit);
-                    const [_, date, author, email, message, hash] = line.split('|');
-
-                    const existing = contributorsMap.get(author);
-                    if (existing) {
-                        existing.commitCount++;
-                    } else {
-                        contributorsMap.set(author, { name: author, email, commitCount: 1 });
-                    }
-
-                    if (/\b(fix|bug|patch|hotfix|bugfix|repair|correct)\b/i.test(message)) {
-                        bugFixCount++;
-                    }
-
-                    currentCommit = { date, author, email, message, hash };
-                } else if (line.trim() && currentCommit) {
-                    const [added, deleted] = line.trim().split(/\s+/);
-                    if (added !== '-') totalAdded += parseInt(added) || 0;
-                    if (deleted !== '-') totalDeleted += parseInt(deleted) || 0;
-                }
-            });
+            if (!summary) {
+                const logResult = execSync(
+                    `git log --follow --numstat --format="COMMIT|%ai|%an|%ae|%s|%h" -- "${gitRelativePath}"`,
+                    { cwd: this.gitRoot, encoding: 'utf8', timeout: 5000 }
+                );
+                summary = this.summarizeLog(logResult);
+                if (persistentKey) this.persistentCache.setGit(persistentKey, summary);
+            }
 
-            if (currentCommit) commits.push(currentCommit);
-
-            const commitCount = commits.length;
-            const contributors = Array.from(contributorsMap.values())
-                .sort((a, b) => b.commitCount - a.commitCount);
-            const lastCommit = commits[0] ? {
-                date: new Date(commits[0].date),
-                author: commits[0].author,
-                email: commits[0].email,
-                message: commits[0].message,
-                hash: commits[0].hash,
-                daysAgo: Math.floor((Date.now() - new Date(commits[0].date).getTime()) / (1000 * 60 * 60 * 24))
-            } : null;
-
-            const createdDate = commits[commits.length - 1] ? new Date(commits[commits.length - 1].date) : null;
-            const fileAge = createdDate ? Math.max(1, Math.floor((Date.now() - createdDate.getTime()) / (1000 * 60 * 60 * 24))) : 0;
-
-            const totalChanges = totalAdded + totalDeleted;
-            const churnRate = fileAge > 0 ? Math.round((totalChanges / fileAge) * 100) / 100 : 0;
-            const bugFixRatio = commitCount > 0 ? Math.round((bugFixCount / commitCount) * 100) / 100 : 0;
-
-            const metrics = {
-                commitCount,
-                contributors,
-                lastCommit,
-                churnRate,
-                bugFixRatio,
-                createdDate,
-                fileAge,
-                totalLinesChanged: totalChanges,
-                isGitTracked: true
-            };
+            const metrics = summary.commitCount > 0
+                ? this.buildMetrics(summary, gitRelativePath)
+                : this.emptyMetrics();
 
             this.gitCache.set(filePath, metrics);
             return metrics;
@@ -144,6 +91,137 @@ class GitAnalyzer {
         }
     }
 
+    /**
+     * Reduce `git log --follow --numstat` output to plain, time-independent
+     * facts (safe to persist; "days ago" values are derived in buildMetrics).
+     */
+    summarizeLog(logResult) {
+        const summary = {
+            commitCount: 0,
+            contributors: [],
+            lastCommit: null,
+            firstCommitDate: null,
+            totalAdded: 0,
+            totalDeleted: 0,
+            bugFixCount: 0,
+            paths: []
+        };
+
+        if (!logResult.trim()) return summary;
+
+        const contributorsMap = new Map();
+        let currentCommit = null;
+
+        logResult.trim().split('\n').forEach(line => {
+            if (line.startsWith('COMMIT|')) {
+                const [_, date, author, email, message, hash] = line.split('|');
+                currentCommit = { date, author, email, message, hash };
+                summary.commitCount++;
+                if (!summary.lastCommit) summary.lastCommit = currentCommit;
+                summary.firstCommitDate = date;
+
+                const existing = contributorsMap.get(author);
+                if (existing) {
+                    existing.commitCount++;
+                } else {
+                    contributorsMap.set(author, { name: author, email, commitCount: 1 });
+                }
+
+                if (/\b(fix|bug|patch|hotfix|bugfix|repair|correct)\b/i.test(message)) {
+                    summary.bugFixCount++;
+                }
+            } else if (line.trim() && currentCommit) {
+                const [added, deleted, ...pathParts] = line.trim().split('\t');
+                if (added !== '-') summary.totalAdded += parseInt(added) || 0;
+                if (deleted !== '-') summary.totalDeleted += parseInt(deleted) || 0;
+                this.expandRenamePath(pathParts.join('\t')).forEach(p => {
+                    if (!summary.paths.includes(p)) summary.paths.push(p);
+                });
+            }
+        });
+
+        summary.contributors = Array.from(contributorsMap.values())
+            .sort((a, b) => b.commitCount - a.commitCount);
+        return summary;
+    }
+
+    /**
+     * Turn a log summary into the gitMetrics shape, relative to now. Dates
+     * are ISO 8601 strings, as in the written UML, so the in-memory data
+     * validates and uploads the same as the file.
+     */
+    buildMetrics(summary, gitRelativePath) {
+        const { commitCount, contributors, lastCommit: last } = summary;
+        const dayMs = 1000 * 60 * 60 * 24;
+
+        const lastCommit = last ? {
+            date: new Date(last.date).toISOString(),
+            author: last.author,
+            email: last.email,
+            message: last.message,
+            hash: last.hash,
+            daysAgo: Math.floor((Date.now() - new Date(last.date).getTime()) / dayMs)
+        } : null;
+
+        const created = summary.firstCommitDate ? new Date(summary.firstCommitDate) : null;
+        const createdDate = created ? created.toISOString() : null;
+        const fileAge = created ? Math.max(1, Math.floor((Date.now() - created.getTime()) / dayMs)) : 0;
+
+        const totalChanges = summary.totalAdded + summary.totalDeleted;
+        const churnRate = fileAge > 0 ? Math.round((totalChanges / fileAge) * 100) / 100 : 0;
+        const bugFixRatio = commitCount > 0 ? Math.round((summary.bugFixCount / commitCount) * 100) / 100 : 0;
+
+        // Paths this file lived at before a move, relative to projectRoot
+        const previousPaths = summary.paths
+            .filter(p => p !== gitRelativePath)
+            .map(p => path.relative(this.projectRoot, path.resolve(this.gitRoot, p)).split(path.sep).join('/'));
+
+        return {
+            commitCount,
+            contributors: contributors.map(c => ({ ...c })),
+            lastCommit,
+            churnRate,
+            bugFixRatio,
+            createdDate,
+            fileAge,
+            totalLinesChanged: totalChanges,
+            previousPaths,
+            isGitTracked: true
+        };
+    }
+
+    /**
+     * Last commit SHA touching each file, from one pass over the history
+     * (instead of one git call per file). Loaded lazily on first lookup;
+     * null when git fails or times out, which skips the persistent cache.
+     */
+    getLastCommitSha(gitRelativePath) {
+        if (!this.lastCommitShas) {
+            this.lastCommitShas = new Map();
+            const scope = path.relative(this.gitRoot, this.projectRoot) || '.';
+            let logResult = '';
+            try {
+                logResult = execSync(
+                    `git -c core.quotepath=off log --format="COMMIT|%H" --name-only --no-renames -- "${scope}"`,
+                    { cwd: this.gitRoot, encoding: 'utf8', timeout: 5000, maxBuffer: 1024 * 1024 * 1024 }
+                );
+            } catch (error) {
+                // No SHAs: every file is looked up without the persistent cache
+            }
+
+            let currentSha = null;
+            logResult.split('\n').forEach(line => {
+                if (line.startsWith('COMMIT|')) {
+                    currentSha = line.substring(7);
+                } else if (line && currentSha && !this.lastCommitShas.has(line)) {
+                    this.lastCommitShas.set(line, currentSha);
+                }
+            });
+        }
+
+        return this.lastCommitShas.get(gitRelativePath) || null;
+    }
+
     emptyMetrics() {
         return {
             commitCount: 0,
@@ -154,10 +232,33 @@ class GitAnalyzer {
             createdDate: null,
             fileAge: 0,
             totalLinesChanged: 0,
+            previousPaths: [],
             isGitTracked: false
         };
     }
 
+    /**
+     * Expand a numstat path into the path(s) it names.
+     * Renames show up as "old => new" or "dir/{old => new}/file".
+     */
+    expandRenamePath(numstatPath) {
+        if (!numstatPath) return [];
+
+        const braceMatch = numstatPath.match(/^(.*)\{(.*) => (.*)\}(.*)$/);
+        if (braceMatch) {
+            const [, prefix, from, to, suffix] = braceMatch;
+            const join = (middle) => `${prefix}${middle}${suffix}`.replace(/\/\//g, '/');
+            return [join(to), join(from)];
+        }
+
+        const arrowIndex = numstatPath.indexOf(' => ');
+        if (arrowIndex !== -1) {
+            return [numstatPath.substring(arrowIndex + 4), numstatPath.substring(0, arrowIndex)];
+        }
+
+        return [numstatPath];
+    }
+
     getCacheStats() {
         return {
             cacheSize: this.gitCache.size,
@@ -167,6 +268,18 @@ class GitAnalyzer {
         };
     }
 
+    /**
+     * Forget one file's metrics so the next analyzeFile() re-reads its history
+     * (e.g. after a commit while watching). `filePath` is project-relative.
+     */
+    invalidate(filePath) {
+        this.gitCache.delete(filePath);
+        if (this.lastCommitShas) {
+            const gitRelativePath = path.relative(this.gitRoot, path.resolve(this.projectRoot, filePath)).split(path.sep).join('/');
+            this.lastCommitShas.delete(gitRelativePath);
+        }
+    }
+
     clearCache() {
         this.gitCache.clear();
         this.cacheHits = 0;
@@ -4,109 +4,194 @@
  * Ported from generateUML.js.deprecated ImportAnalyzer class.
  * Provides: exportCount, importedByCount, unusedExports, import statistics
  * Unlocks: Unused Exports panel, Popular Imports panel in SwarmDesk
+ *
+ * Exports and imports are read from the TypeScript AST (parseWithTypeScript),
+ * so comments and strings never match and every record knows whether it is
+ * type-only.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { probe } = require('../module-resolver');
 
 class ImportAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} [options] - { resolver: ModuleResolver for aliases,
+     *   package imports and workspaces; without one only relative imports
+     *   are followed }
+     */
+    constructor(options = {}) {
         this.exports = new Map();
         this.imports = new Map();
         this.fileStats = new Map();
+        // Files read by collectUnanalyzed() → their imports and re-exports
+        this.unanalyzed = new Map();
+        // File → project files it imports or re-exports from; filled by buildImportGraph()
+        this.dependencies = new Map();
+        this.resolver = options.resolver || null;
     }
 
-    collectExports(filePath, content) {
-        const exports = [];
-
-        // export default ClassName
-        let match;
-        const defaultExportRegex = /export\s+default\s+(\w+)/g;
-        while ((match = defaultExportRegex.exec(content)) !== null) {
-            exports.push({ name: match[1], type: 'default', line: this.getLineNumber(content, match.index) });
-        }
-
-        // export const/function/class Name
-        const namedExportRegex = /export\s+(?:const|let|var|function|class|async\s+function)\s+(\w+)/g;
-        while ((match = namedExportRegex.exec(content)) !== null) {
-            exports.push({ name: match[1], type: 'named', line: this.getLineNumber(content, match.index) });
-        }
-
-        // export { name1, name2 }
-        const namedExportGroupRegex = /export\s+{\s*([^}]+)\s*}/g;
-        while ((match = namedExportGroupRegex.exec(content)) !== null) {
-            const names = match[1].split(',').map(n => {
-                const parts = n.trim().split(/\s+as\s+/);
-                return parts[parts.length - 1].trim();
-            });
-            names.forEach(name => {
-                if (name) exports.push({ name, type: 'named', line: this.getLineNumber(content, match.index) });
-            });
-        }
-
-        // export * from './module'
-        const exportAllRegex = /export\s+\*\s+from\s+['"`]([^'"`]+)['"`]/g;
-        while ((match = exportAllRegex.exec(content)) !== null) {
-            exports.push({ name: '*', type: 're-export', from: match[1], line: this.getLineNumber(content, match.index) });
-        }
-
-        // export { name } from './module'
-        const exportFromRegex = /export\s+{\s*([^}]+)\s*}\s+from\s+['"`]([^'"`]+)['"`]/g;
-        while ((match = exportFromRegex.exec(content)) !== null) {
-            const names = match[1].split(',').map(n => n.trim().split(/\s+as\s+/)[0].trim());
-            names.forEach(name => {
-                if (name) exports.push({ name, type: 're-export', from: match[2], line: this.getLineNumber(content, match.index) });
-            });
-        }
+    /**
+     * Record a file's exports: { name, type: 'default' | 'named' | 're-export',
+     * line, isTypeOnly } plus `from`/`imported` for re-exports. CommonJS
+     * exports are flagged `isCommonJS`; the public methods of an exported
+     * instance (`module.exports = new AuthManager()`) are named exports with
+     * `memberOf`, and `usedInternally` when the class calls them itself.
+     *
+     * @param {string} filePath
+     * @param {Object|string} parsed - parseWithTypeScript() result, or the
+     *   file content to parse
+     */
+    collectExports(filePath, parsed) {
+        const { exports: records } = this.parse(filePath, parsed);
+        const exports = records.map(record => ({ ...record }));
 
         this.exports.set(filePath, exports);
         return exports;
     }
 
-    collectImports(filePath, content) {
+    /**
+     * Record a file's imports, one entry per binding: { name, local, type,
+     * from, isLocal, isTypeOnly, line }. `type` is 'default', 'named',
+     * 'namespace', 'commonjs' (require), 'dynamic' (import()), 'worker'
+     * (`new Worker(path)`) or 'side-effect'; `name` is the imported export ('*' for the whole
+     * module), or the local binding for default and namespace imports.
+     * Whole-module and default bindings also carry `members`: the member
+     * names read from them, or null when the binding escapes (passed
+     * around, called) and any member may be used.
+     * Re-exports are exports, not imports, and aren't listed.
+     *
+     * @param {string} filePath
+     * @param {Object|string} parsed - parseWithTypeScript() result, or the
+     *   file content to parse
+     */
+    collectImports(filePath, parsed) {
+        const { imports: records } = this.parse(filePath, parsed);
+        const imports = this.importsOf(records.filter(record => !record.isReExport));
+        this.imports.set(filePath, imports);
+        return imports;
+    }
+
+    /**
+     * Import entries (see collectImports) for parsed import records
+     */
+    importsOf(records) {
         const imports = [];
-        let match;
 
-        // import Name from './module'
-        const defaultImportRegex = /import\s+(\w+)\s+from\s+['"`]([^'"`]+)['"`]/g;
-        while ((match = defaultImportRegex.exec(content)) !== null) {
-            imports.push({ name: match[1], type: 'default', from: match[2], isLocal: this.isLocalImport(match[2]), line: this.getLineNumber(content, match.index) });
-        }
+        records.forEach(record => {
+            const base = { from: record.specifier, isLocal: this.isLocalImport(record.specifier), line: record.line };
+
+            if (record.symbols.length === 0) {
+                // `import './polyfills'`, require()/import() whose result isn't bound, or a worker script
+                const type = record.kind === 'require' ? 'commonjs'
+                    : record.kind === 'dynamic-import' ? 'dynamic'
+                    : record.kind === 'worker' ? 'worker'
+                    : 'side-effect';
+                imports.push({ name: type === 'side-effect' || type === 'worker' ? null : '*', local: null, type, ...base, isTypeOnly: false });
+                return;
+            }
 
-        // import { name1, name2 } from './module'
-        const namedImportRegex = /import\s+{\s*([^}]+)\s*}\s+from\s+['"`]([^'"`]+)['"`]/g;
-        while ((match = namedImportRegex.exec(content)) !== null) {
-            const names = match[1].split(',').map(n => n.trim().split(/\s+as\s+/)[0].trim());
-            const fromModule = match[2];
-            names.forEach(name => {
-                if (name) imports.push({ name, type: 'named', from: fromModule, isLocal: this.isLocalImport(fromModule), line: this.getLineNumber(content, match.index) });
+            record.symbols.forEach(symbol => {
+                let type;
+                if (record.kind === 'require') type = 'commonjs';
+                else if (record.kind === 'dynamic-import') type = 'dynamic';
+                else if (symbol.imported === 'default') type = 'default';
+                else if (symbol.imported === '*') type = 'namespace';
+                else type = 'named';
+
+                const bindsLocal = type === 'default' || type === 'namespace';
+                imports.push({
+                    name: bindsLocal ? symbol.local : symbol.imported,
+                    local: symbol.local,
+                    type,
+                    ...base,
+                    isTypeOnly: !!symbol.isTypeOnly,
+                    ...(symbol.members !== undefined ? { members: symbol.members } : {})
+                });
             });
-        }
-
-        // import * as Name from './module'
-        const namespaceImportRegex = /import\s+\*\s+as\s+(\w+)\s+from\s+['"`]([^'"`]+)['"`]/g;
-        while ((match = namespaceImportRegex.exec(content)) !== null) {
-            imports.push({ name: match[1], type: 'namespace', from: match[2], isLocal: this.isLocalImport(match[2]), line: this.getLineNumber(content, match.index) });
-        }
+        });
+        return imports;
+    }
 
-        // require() calls
-        const requireRegex = /(?:const|let|var)\s+(?:{([^}]+)}|(\w+))\s*=\s*require\s*\(\s*['"`]([^'"`]+)['"`]\s*\)/g;
-        while ((match = requireRegex.exec(content)) !== null) {
-            const fromModule = match[3];
-            if (match[1]) {
-                match[1].split(',').map(n => n.trim()).forEach(name => {
-                    if (name) imports.push({ name, type: 'commonjs', from: fromModule, isLocal: this.isLocalImport(fromModule), line: this.getLineNumber(content, match.index) });
-                });
-            } else {
-                imports.push({ name: match[2], type: 'commonjs', from: fromModule, isLocal: this.isLocalImport(fromModule), line: this.getLineNumber(content, match.index) });
+    /**
+     * Read the files entry points reach outside the analyzed set, e.g. a
+     * bin script the include patterns skip and the helpers it requires, so
+     * buildImportGraph() follows and counts their imports. Their re-exports
+     * count as imports. Replaces what a previous call read.
+     *
+     * @param {Array<string>} entryPoints - absolute paths
+     * @param {Object} options - { projectRoot, isProjectSource: absolutePath →
+     *   boolean for the files that may be read }
+     */
+    collectUnanalyzed(entryPoints, { projectRoot, isProjectSource = () => false }) {
+        this.unanalyzed = new Map();
+        const accept = candidate => this.exports.has(candidate) || isProjectSource(candidate);
+        const queue = entryPoints.filter(filePath => !this.exports.has(filePath) && isProjectSource(filePath));
+
+        while (queue.length > 0) {
+            const filePath = queue.shift();
+            if (this.unanalyzed.has(filePath)) continue;
+
+            let records = [];
+            try {
+                records = this.parse(filePath, fs.readFileSync(filePath, 'utf8')).imports;
+            } catch (error) {
+                // Unreadable: nothing is reached through it
             }
+            const reExports = records.filter(record => record.isReExport).flatMap(record => record.symbols.map(symbol => ({
+                name: symbol.imported,
+                local: null,
+                type: symbol.imported === '*' ? 'namespace' : 'named',
+                from: record.specifier,
+                isLocal: this.isLocalImport(record.specifier),
+                line: record.line,
+                isTypeOnly: !!symbol.isTypeOnly
+            })));
+            const imports = [...this.importsOf(records.filter(record => !record.isReExport)), ...reExports];
+            this.unanalyzed.set(filePath, imports);
+
+            imports.filter(imp => this.isProjectImport(imp.from, filePath)).forEach(imp => {
+                const target = this.resolveModule(filePath, imp.from, projectRoot, accept);
+                if (target && !this.exports.has(target) && !this.unanalyzed.has(target)) queue.push(target);
+            });
         }
+    }
 
-        if (!this.imports.has(filePath)) {
-            this.imports.set(filePath, []);
-        }
-        this.imports.get(filePath).push(...imports);
-        return imports;
+    /**
+     * The parse results collectors work from; content is parsed on demand
+     */
+    parse(filePath, parsed) {
+        // Required lazily: the parser pulls in the TypeScript compiler
+        return typeof parsed === 'string' ? require('../parsers/source-parser').parseWithTypeScript(filePath, parsed) : parsed;
+    }
+
+    /**
+     * Restore previously collected exports/imports for a file (e.g. from
+     * the persistent AnalysisCache) without re-scanning its content.
+     */
+    loadCollected(filePath, { exports = [], imports = [] }) {
+        this.exports.set(filePath, exports);
+        this.imports.set(filePath, imports);
+    }
+
+    /**
+     * Forget a file's exports, imports and stats (changed or deleted on disk)
+     */
+    removeFile(filePath) {
+        this.exports.delete(filePath);
+        this.imports.delete(filePath);
+        this.fileStats.delete(filePath);
+    }
+
+    /**
+     * Re-insert files in scan order so re-analyzed files don't move to the
+     * end of the reports (unusedExports, mostImported ties)
+     */
+    orderFiles(filePaths) {
+        ['exports', 'imports', 'fileStats'].forEach(key => {
+            const entries = this[key];
+            this[key] = new Map(filePaths.filter(filePath => entries.has(filePath)).map(filePath => [filePath, entries.get(filePath)]));
+        });
     }
 
     collectFileStats(filePath) {
@@ -122,70 +207,205 @@ class ImportAnalyzer {
         }
     }
 
-    buildImportGraph(projectRoot) {
+    /**
+     * Import graph key for one export; a default export and a named export
+     * may share a name, and a file can `export *` from several modules
+     */
+    exportKey(filePath, exp) {
+        if (exp.type === 'default') return `${filePath}::default`;
+        if (exp.type === 're-export' && exp.name === '*') return `${filePath}::*:${exp.from}`;
+        return `${filePath}::${exp.name}`;
+    }
+
+    /**
+     * Map every export to the files importing it. Usage is followed through
+     * re-exports to the declaration: `import { x } from './index'`, with
+     * index.ts doing `export * from './utils'`, uses both the barrel's
+     * `export *` and utils' own `x`. Everything an entry point exports is
+     * the package's API, so it counts as used (`exposedByEntryPoint`),
+     * down the same re-export chains.
+     *
+     * @param {string} projectRoot
+     * @param {Object} [options] - { entryPoints: absolute paths }
+     */
+    buildImportGraph(projectRoot, options = {}) {
+        const { entryPoints = [] } = options;
         const graph = new Map();
+        const resolved = new Map();
+        const isKnown = filePath => this.exports.has(filePath) || this.unanalyzed.has(filePath);
+        this.dependencies = new Map([...this.exports.keys(), ...this.unanalyzed.keys()].map(filePath => [filePath, new Set()]));
+
+        // Project file a specifier points at (among files with collected exports or read by collectUnanalyzed()), or null
+        const resolveFrom = (importingFile, specifier) => {
+            const cacheKey = `${importingFile}\0${specifier}`;
+            if (!resolved.has(cacheKey)) {
+                const target = this.isProjectImport(specifier, importingFile)
+                    ? this.resolveModule(importingFile, specifier, projectRoot, isKnown)
+                    : null;
+                resolved.set(cacheKey, target && isKnown(target) ? target : null);
+                if (resolved.get(cacheKey) && this.dependencies.has(importingFile)) this.dependencies.get(importingFile).add(target);
+            }
+            return resolved.get(cacheKey);
+        };
 
         this.exports.forEach((exports, filePath) => {
             exports.forEach(exp => {
-                const key = `${filePath}::${exp.name}`;
+                const key = this.exportKey(filePath, exp);
                 graph.set(key, {
                     filePath,
                     exportName: exp.name,
                     exportType: exp.type,
                     exportLine: exp.line,
+                    isTypeOnly: !!exp.isTypeOnly,
+                    ...(exp.memberOf ? { memberOf: exp.memberOf } : {}),
+                    ...(exp.type === 're-export' ? { from: exp.from, importedName: exp.imported, target: resolveFrom(filePath, exp.from) } : {}),
+                    usedInternally: !!exp.usedInternally,
                     importedBy: []
                 });
             });
         });
 
-        this.imports.forEach((imports, importingFile) => {
+        const mark = (filePath, exp, entry) => {
+            const data = graph.get(this.exportKey(filePath, exp));
+            if (!data) return;
+            if (entry.isEntryPoint) data.exposedByEntryPoint = true;
+            else data.importedBy.push(entry);
+        };
+
+        // A re-export is used: so is what it re-exports
+        const follow = (filePath, exp, entry, seen) => {
+            const target = resolveFrom(filePath, exp.from);
+            if (!target) return;
+            if (exp.name === '*' || exp.imported === '*') useModule(target, null, entry, seen);
+            else useExport(target, exp.imported, entry, seen);
+        };
+
+        // One export by name, through `export *` when the file doesn't declare it; false when not found
+        const useExport = (filePath, name, entry, seen) => {
+            if (seen.has(`${filePath}::${name}`)) return false;
+            seen.add(`${filePath}::${name}`);
+
+            const exports = this.exports.get(filePath) || [];
+            const exp = name === 'default'
+                ? exports.find(e => e.type === 'default')
+                : exports.find(e => e.name === name && e.type !== 'default') || exports.find(e => e.name === name);
+            if (exp) {
+                mark(filePath, exp, entry);
+                if (exp.type === 're-export') follow(filePath, exp, entry, seen);
+                return true;
+            }
+
+            // `export *` never forwards a default export
+            if (name === 'default') return false;
+            return exports.filter(e => e.type === 're-export' && e.name === '*').some(star => {
+                const target = resolveFrom(filePath, star.from);
+                if (!target || !useExport(target, name, entry, seen)) return false;
+                mark(filePath, star, entry);
+                return true;
+            });
+        };
+
+        // A whole-module binding: the members it reads, or everything when `members` isn't known
+        const useModule = (filePath, members, entry, seen) => {
+            if (seen.has(`${filePath}::*`)) return;
+            seen.add(`${filePath}::*`);
+
+            const exports = this.exports.get(filePath) || [];
+            if (!Array.isArray(members)) {
+                // The binding escapes, so every export may be used
+                exports.forEach(exp => {
+                    mark(filePath, exp, { ...entry, type: 'namespace' });
+                    if (exp.type === 're-export') follow(filePath, exp, entry, seen);
+                });
+                return;
+            }
+
+            // `module.exports = …` is the object being read
+            exports.filter(exp => exp.type === 'default' && exp.isCommonJS).forEach(exp => mark(filePath, exp, { ...entry, type: 'namespace' }));
+            members.forEach(member => useExport(filePath, member, { ...entry, type: 'member', importName: member }, seen));
+        };
+
+        [...this.imports, ...this.unanalyzed].forEach(([importingFile, imports]) => {
             imports.forEach(imp => {
-                if (imp.isLocal) {
-                    const resolvedPath = this.resolveImportPath(importingFile, imp.from, projectRoot);
-
-                    if (resolvedPath && this.exports.has(resolvedPath)) {
-                        const exports = this.exports.get(resolvedPath);
-
-                        if (imp.type === 'namespace') {
-                            exports.forEach(exp => {
-                                const key = `${resolvedPath}::${exp.name}`;
-                                if (graph.has(key)) {
-                                    graph.get(key).importedBy.push({ file: importingFile, line: imp.line, type: 'namespace' });
-                                }
-                            });
-                            return;
-                        }
-
-                        let matchingExport = imp.type === 'default'
-                            ? exports.find(e => e.type === 'default')
-                            : exports.find(e => e.name === imp.name);
-
-                        if (matchingExport) {
-                            const key = `${resolvedPath}::${matchingExport.name}`;
-                            if (graph.has(key)) {
-                                graph.get(key).importedBy.push({ file: importingFile, line: imp.line, importName: imp.name });
-                            }
-                        }
-                    }
+                const resolvedPath = resolveFrom(importingFile, imp.from);
+                if (!resolvedPath) return;
+
+                const exports = this.exports.get(resolvedPath) || [];
+                const entry = { file: importingFile, line: imp.line, isTypeOnly: imp.isTypeOnly };
+
+                // Whole-module imports: a CommonJS default import is the module object too
+                const wholeModule = imp.type === 'namespace' || imp.name === '*' ||
+                    (imp.type === 'default' && exports.some(e => e.isCommonJS));
+                if (wholeModule) {
+                    useModule(resolvedPath, imp.members, entry, new Set());
+                } else {
+                    useExport(resolvedPath, imp.type === 'default' ? 'default' : imp.name, { ...entry, importName: imp.name }, new Set());
                 }
             });
         });
 
+        entryPoints.filter(filePath => this.exports.has(filePath))
+            .forEach(filePath => useModule(filePath, null, { file: filePath, isEntryPoint: true }, new Set()));
+
         return graph;
     }
 
+    /**
+     * Whether anything uses an export: an importer, an entry point exposing
+     * it, or (for the methods of an exported instance) the class itself
+     */
+    isUsed(data) {
+        return data.importedBy.length > 0 || data.usedInternally || !!data.exposedByEntryPoint;
+    }
+
+    /**
+     * Re-export graph entries by the file they re-export from
+     */
+    reExportIndex(importGraph) {
+        const index = new Map();
+        importGraph.forEach(data => {
+            if (data.exportType !== 're-export' || !data.target) return;
+            if (!index.has(data.target)) index.set(data.target, []);
+            index.get(data.target).push(data);
+        });
+        return index;
+    }
+
+    /**
+     * The barrels an export is re-exported through, outermost first:
+     * [{ file, exportName }] with the name each barrel exposes it as. Empty
+     * when nothing re-exports it.
+     */
+    reExportPath(index, filePath, exportName, seen = new Set()) {
+        if (seen.has(filePath)) return [];
+        seen.add(filePath);
+
+        const reExport = (index.get(filePath) || []).find(data => data.exportName === '*'
+            ? exportName !== 'default'
+            : data.importedName === exportName);
+        if (!reExport) return [];
+
+        const name = reExport.exportName === '*' ? exportName : reExport.exportName;
+        return [...this.reExportPath(index, reExport.filePath, name, seen), { file: reExport.filePath, exportName: name }];
+    }
+
     findUnusedExports(importGraph) {
         const unused = [];
+        const index = this.reExportIndex(importGraph);
 
         importGraph.forEach((data, key) => {
-            if (data.importedBy.length === 0 &&
+            if (!this.isUsed(data) &&
                 data.exportType !== 're-export' &&
                 !(data.filePath.includes('index') && data.exportName === 'default')) {
                 const fileStats = this.fileStats.get(data.filePath);
+                const via = this.reExportPath(index, data.filePath, data.exportType === 'default' ? 'default' : data.exportName);
                 unused.push({
                     file: data.filePath,
                     exportName: data.exportName,
                     exportType: data.exportType,
+                    isTypeOnly: data.isTypeOnly,
+                    ...(data.memberOf ? { memberOf: data.memberOf } : {}),
+                    ...(via.length > 0 ? { reExportedVia: via } : {}),
                     line: data.exportLine,
                     fileAge: fileStats?.age || 0,
                     fileSize: fileStats?.size || 0
@@ -196,23 +416,80 @@ class ImportAnalyzer {
         return unused;
     }
 
+    /**
+     * Analyzed files no entry point reaches through imports, re-exports,
+     * require(), import() or worker scripts (type-only imports count:
+     * deleting their target breaks the build), in scan order. Needs
+     * buildImportGraph() first, after collectUnanalyzed() for entry points
+     * outside the analyzed set.
+     *
+     * @param {Array<string>} entryPoints - absolute paths
+     */
+    findUnreachableFiles(entryPoints) {
+        const reached = new Set();
+        const queue = entryPoints.filter(filePath => this.dependencies.has(filePath));
+        while (queue.length > 0) {
+            const filePath = queue.pop();
+            if (reached.has(filePath)) continue;
+            reached.add(filePath);
+            this.dependencies.get(filePath).forEach(dependency => queue.push(dependency));
+        }
+        return [...this.exports.keys()].filter(filePath => !reached.has(filePath));
+    }
+
+    /**
+     * Barrel files (files that re-export) with re-exports nobody consumes:
+     * { file, reExportCount, unusedReExports: [{ exportName, from, line,
+     * reExportedVia? }], allUnused } in scan order. `allUnused` marks a
+     * barrel none of whose re-exports are used.
+     */
+    findUnusedBarrels(importGraph) {
+        const barrels = new Map();
+        const index = this.reExportIndex(importGraph);
+
+        importGraph.forEach(data => {
+            if (data.exportType !== 're-export') return;
+            if (!barrels.has(data.filePath)) barrels.set(data.filePath, { file: data.filePath, reExportCount: 0, unusedReExports: [] });
+
+            const barrel = barrels.get(data.filePath);
+            barrel.reExportCount++;
+            if (this.isUsed(data)) return;
+
+            const via = data.exportName === '*' ? [] : this.reExportPath(index, data.filePath, data.exportName);
+            barrel.unusedReExports.push({
+                exportName: data.exportName,
+                from: data.from,
+                line: data.exportLine,
+                ...(via.length > 0 ? { reExportedVia: via } : {})
+            });
+        });
+
+        return [...barrels.values()]
+            .filter(barrel => barrel.unusedReExports.length > 0)
+            .map(barrel => ({ ...barrel, allUnused: barrel.unusedReExports.length === barrel.reExportCount }));
+    }
+
     calculateImportStats(importGraph) {
         const stats = {
             totalExports: 0, usedExports: 0, unusedExports: 0,
             totalImports: 0, localImports: 0, externalImports: 0,
+            typeOnlyExports: 0, typeOnlyImports: 0,
             mostImported: [], leastImported: []
         };
 
         importGraph.forEach((data) => {
             stats.totalExports++;
-            if (data.importedBy.length > 0) stats.usedExports++;
+            if (data.isTypeOnly) stats.typeOnlyExports++;
+            if (this.isUsed(data)) stats.usedExports++;
             else stats.unusedExports++;
         });
 
-        this.imports.forEach((imports) => {
+        this.imports.forEach((imports, importingFile) => {
             stats.totalImports += imports.length;
-            stats.localImports += imports.filter(i => i.isLocal).length;
-            stats.externalImports += imports.filter(i => !i.isLocal).length;
+            const local = imports.filter(i => this.isProjectImport(i.from, importingFile)).length;
+            stats.localImports += local;
+            stats.externalImports += imports.length - local;
+            stats.typeOnlyImports += imports.filter(i => i.isTypeOnly).length;
         });
 
         const importCounts = [];
@@ -238,15 +515,12 @@ class ImportAnalyzer {
         const importedBy = new Set();
 
         fileExports.forEach(exp => {
-            const key = `${filePath}::${exp.name}`;
+            const key = this.exportKey(filePath, exp);
             const data = importGraph.get(key);
             if (data) {
-                if (data.importedBy.length > 0) {
-                    importedByCount += data.importedBy.length;
-                    data.importedBy.forEach(i => importedBy.add(i.file));
-                } else if (data.exportType !== 're-export') {
-                    unusedExportCount++;
-                }
+                importedByCount += data.importedBy.length;
+                data.importedBy.forEach(i => importedBy.add(i.file));
+                if (data.exportType !== 're-export' && !this.isUsed(data)) unusedExportCount++;
             }
         });
 
@@ -259,32 +533,36 @@ class ImportAnalyzer {
         };
     }
 
-    resolveImportPath(importingFile, importPath, projectRoot) {
-        try {
-            const importingDir = path.dirname(importingFile);
-            let resolvedPath = path.resolve(importingDir, importPath);
-            const extensions = ['.js', '.jsx', '.ts', '.tsx'];
+    /**
+     * Resolve a relative import to a file: the path as written, with a source
+     * extension, or a directory's index file. `accept` picks among the
+     * candidates (defaults to "is a file", so a directory never resolves to itself).
+     */
+    resolveImportPath(importingFile, importPath, projectRoot, accept) {
+        return probe(path.resolve(path.dirname(importingFile), importPath), accept);
+    }
 
-            if (fs.existsSync(resolvedPath)) return resolvedPath;
-            for (const ext of extensions) {
-                if (fs.existsSync(resolvedPath + ext)) return resolvedPath + ext;
-            }
-            for (const ext of extensions) {
-                const indexPath = path.join(resolvedPath, `index${ext}`);
-                if (fs.existsSync(indexPath)) return indexPath;
-            }
-            return null;
-        } catch (error) {
-            return null;
-        }
+    /**
+     * Resolve any import that points into the project: relative paths, and
+     * aliases, `#imports` and workspace packages when a resolver was given.
+     * `accept` picks among candidate files (see ModuleResolver.resolve).
+     * Null for external modules.
+     */
+    resolveModule(importingFile, importPath, projectRoot, accept) {
+        if (this.isLocalImport(importPath)) return this.resolveImportPath(importingFile, importPath, projectRoot, accept);
+        return this.resolver ? this.resolver.resolve(importingFile, importPath, accept) : null;
     }
 
     isLocalImport(modulePath) {
         return modulePath.startsWith('./') || modulePath.startsWith('../');
     }
 
-    getLineNumber(content, index) {
-        return content.substring(0, index).split('\n').length;
+    /**
+     * Relative imports, and specifiers the resolver maps into the project
+     * (aliases, `#imports`, workspaces, the package's own name)
+     */
+    isProjectImport(modulePath, importingFile) {
+        return this.isLocalImport(modulePath) || !!(this.resolver && this.resolver.isProjectSpecifier(importingFile, modulePath));
     }
 }
 
@@ -9,10 +9,22 @@
  * plus structural and dependency comparisons.
  */
 
+// Share of each signal in the overall similarity score
+const DEFAULT_WEIGHTS = {
+    names: 0.15,
+    methodNames: 0.30,
+    signatures: 0.25,
+    fieldNames: 0.15,
+    structure: 0.10,
+    dependencies: 0.05
+};
+
 class RedundancyAnalyzer {
     constructor(options = {}) {
         this.similarityThreshold = options.similarityThreshold || 0.7;
         this.minMethodsForComparison = options.minMethodsForComparison || 2;
+        this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+        this.logger = options.logger || console;
         this.similarityCache = new Map();
     }
 
@@ -105,7 +117,8 @@ class RedundancyAnalyzer {
 
     calculateOverallSimilarity(class1, class2) {
         if (class1.id === class2.id) return null;
-        if (class1.type === 'interface' || class2.type === 'interface') return null;
+        const shapeTypes = ['interface', 'type', 'enum'];
+        if (shapeTypes.includes(class1.type) || shapeTypes.includes(class2.type)) return null;
 
         const methods1Count = class1.methods?.length || 0;
         const methods2Count = class2.methods?.length || 0;
@@ -136,13 +149,14 @@ class RedundancyAnalyzer {
         const fieldCountSimilarity = this.calculateRatioSimilarity(class1.fields?.length || 0, class2.fields?.length || 0);
         const structuralScore = methodCountSimilarity * 0.6 + fieldCountSimilarity * 0.4;
 
+        const weights = this.weights;
         const overallScore = (
-            (namesSimilar ? 0.15 : 0) +
-            methodNameSimilarity * 0.30 +
-            signatureComparison.score * 0.25 +
-            fieldNameSimilarity * 0.15 +
-            structuralScore * 0.10 +
-            dependencyComparison.score * 0.05
+            (namesSimilar ? weights.names : 0) +
+            methodNameSimilarity * weights.methodNames +
+            signatureComparison.score * weights.signatures +
+            fieldNameSimilarity * weights.fieldNames +
+            structuralScore * weights.structure +
+            dependencyComparison.score * weights.dependencies
         );
 
         const result = {
@@ -177,7 +191,7 @@ class RedundancyAnalyzer {
             }
 
             if (i % 50 === 0 && i > 0) {
-                console.log(`   Redundancy scan: ${i}/${n} classes...`);
+                this.logger.log(`   Redundancy scan: ${i}/${n} classes...`);
             }
         }
 
@@ -285,4 +299,6 @@ class RedundancyAnalyzer {
     }
 }
 
+RedundancyAnalyzer.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+
 module.exports = RedundancyAnalyzer;
@@ -0,0 +1,188 @@
+/**
+ * ⚙️ Project Config - Discover, validate and merge cartogomancy settings
+ *
+ * Settings are layered, lowest precedence first:
+ *   1. DEFAULT_CONFIG
+ *   2. the first config found in the project root: cartogomancy.config.js,
+ *      .cartogomancyrc.json, or the "cartogomancy" key of package.json
+ *   3. CLI flags, merged on top by the caller
+ *
+ * Objects merge key by key; arrays and scalars replace. The accepted shape is
+ * lib/schema/config.schema.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ComplexityAnalyzer = require('./analyzers/complexity-analyzer');
+const RedundancyAnalyzer = require('./analyzers/redundancy-analyzer');
+const { validateConfig } = require('./schema');
+
+// Discovery order: the first file that exists (and, for package.json, has the key) wins
+const CONFIG_FILES = ['cartogomancy.config.js', '.cartogomancyrc.json', 'package.json'];
+const RC_FILE = '.cartogomancyrc.json';
+const PACKAGE_KEY = 'cartogomancy';
+
+const DEFAULT_CONFIG = {
+    include: ['src', 'lib', 'components', 'pages', 'utils', 'hooks', 'services', 'server', 'client', 'shared', 'app', 'api'],
+    exclude: ['node_modules', 'dist', 'build', '.git', 'coverage', 'test', '__tests__'],
+    gitignore: true,
+    workspaces: true,
+    // Globs of extra entry points for unreachable-file detection (see lib/entry-points.js)
+    entryPoints: [],
+    coveragePath: 'coverage/coverage-summary.json',
+    analyzers: { git: true, imports: true, redundancy: true, madTinker: true },
+    redundancy: {
+        threshold: 0.7,
+        minMethods: 2,
+        weights: { ...RedundancyAnalyzer.DEFAULT_WEIGHTS }
+    },
+    complexity: JSON.parse(JSON.stringify(ComplexityAnalyzer.DEFAULT_THRESHOLDS)),
+    wildness: 5,
+    formats: ['json'],
+    output: null,
+    cache: true,
+    cacheDir: null,
+    jobs: null,
+    // Quality gates; null leaves a gate off (see lib/aggregators/quality-gates.js)
+    gates: {
+        maxCritical: null,
+        maxHigh: null,
+        maxAvgCyclomatic: null,
+        maxAvgCognitive: null,
+        maxUnusedExports: null,
+        minCoverage: null
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge config layers; later layers win. `undefined` values are skipped.
+ */
+function mergeConfig(...layers) {
+    return layers.reduce((merged, layer) => {
+        Object.entries(layer || {}).forEach(([key, value]) => {
+            if (value === undefined) return;
+            merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+                ? mergeConfig(merged[key], value)
+                : (Array.isArray(value) ? [...value] : value);
+        });
+        return merged;
+    }, {});
+}
+
+/**
+ * Read one config file. Returns null when package.json has no "cartogomancy" key.
+ */
+function readConfigFile(filePath) {
+    try {
+        if (path.extname(filePath) === '.js') {
+            // Re-read on every call so the TUI picks up edits between runs
+            delete require.cache[require.resolve(filePath)];
+            return require(filePath);
+        }
+
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return path.basename(filePath) === 'package.json' ? (data[PACKAGE_KEY] || null) : data;
+    } catch (error) {
+        throw new Error(`Could not read config ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * First config in the project root, or null.
+ * @returns {{ source: string, config: Object } | null}
+ */
+function findConfigFile(projectRoot) {
+    for (const fileName of CONFIG_FILES) {
+        const filePath = path.join(projectRoot, fileName);
+        if (!fs.existsSync(filePath)) continue;
+
+        const config = readConfigFile(filePath);
+        if (config) return { source: filePath, config };
+    }
+    return null;
+}
+
+// Paths inside a config file are relative to that file, not the current directory
+function resolvePaths(config, baseDir) {
+    const resolved = { ...config };
+    ['output', 'cacheDir'].forEach(key => {
+        if (typeof resolved[key] === 'string') resolved[key] = path.resolve(baseDir, resolved[key]);
+    });
+    return resolved;
+}
+
+/**
+ * Load the project's config merged over the defaults.
+ *
+ * @param {string} projectRoot - directory searched for config files
+ * @param {string|null} configPath - explicit config file (e.g. --config), skips discovery
+ * @returns {{ config: Object, source: string|null }} merged config and the file it came from
+ */
+function loadConfig(projectRoot, configPath = null) {
+    let found = null;
+
+    if (configPath) {
+        const filePath = path.resolve(configPath);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Config file not found: ${filePath}`);
+        }
+        const config = readConfigFile(filePath);
+        if (!config) {
+            throw new Error(`No "${PACKAGE_KEY}" key in ${filePath}`);
+        }
+        found = { source: filePath, config };
+    } else if (fs.existsSync(projectRoot)) {
+        found = findConfigFile(projectRoot);
+    }
+
+    if (!found) {
+        return { config: mergeConfig(DEFAULT_CONFIG), source: null };
+    }
+
+    const { valid, errors } = validateConfig(found.config);
+    if (!valid) {
+        const details = errors.map(error => `  ${error.path}: ${error.message}`).join('\n');
+        throw new Error(`Invalid config in ${found.source}:\n${details}`);
+    }
+
+    return {
+        config: mergeConfig(DEFAULT_CONFIG, resolvePaths(found.config, path.dirname(found.source))),
+        source: found.source
+    };
+}
+
+/**
+ * Persist settings into the project's config (merged into what's there).
+ * Writes `source` when it's a JSON config or package.json, otherwise
+ * .cartogomancyrc.json in the project root. JavaScript configs are code and
+ * are never rewritten.
+ *
+ * @returns {string} path written
+ */
+function saveConfig(projectRoot, settings, source = null) {
+    if (source && path.extname(source) === '.js') {
+        throw new Error(`${path.basename(source)} is JavaScript — edit it by hand`);
+    }
+
+    const { valid, errors } = validateConfig(settings);
+    if (!valid) {
+        throw new Error(`Refusing to save invalid config: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`);
+    }
+
+    const target = source || path.join(projectRoot, RC_FILE);
+    const existing = fs.existsSync(target) ? JSON.parse(fs.readFileSync(target, 'utf8')) : {};
+
+    if (path.basename(target) === 'package.json') {
+        existing[PACKAGE_KEY] = mergeConfig(existing[PACKAGE_KEY], settings);
+        fs.writeFileSync(target, `${JSON.stringify(existing, null, 2)}\n`);
+    } else {
+        fs.writeFileSync(target, `${JSON.stringify(mergeConfig(existing, settings), null, 2)}\n`);
+    }
+    return target;
+}
+
+module.exports = { DEFAULT_CONFIG, loadConfig, saveConfig, mergeConfig };
@@ -0,0 +1,101 @@
+/**
+ * 🔀 Diff Command - `cartogomancy diff <old> <new>`
+ *
+ * Reads two UML files, prints what changed between them as terminal tables
+ * (classes added, removed and moved, complexity deltas, unused exports,
+ * new similarity pairs) and writes the full comparison from UMLDiff to
+ * diff.json, or the file given with --output.
+ */
+
+const fs = require('fs');
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const UMLDiff = require('./aggregators/uml-diff');
+const { readUMLFile } = require('./uml-file');
+
+// Rows shown per terminal table; diff.json always has everything
+const MAX_ROWS = 20;
+
+class DiffManager {
+    /**
+     * Compare two UML files, print the report and write the machine-readable diff
+     */
+    diffFiles(oldPath, newPath, outputFile = 'diff.json') {
+        const oldUml = readUMLFile(oldPath);
+        const newUml = readUMLFile(newPath);
+        if (!oldUml || !newUml) return false;
+
+        const diff = UMLDiff.compare(oldUml, newUml);
+        this.printReport(diff);
+
+        fs.writeFileSync(outputFile, JSON.stringify(diff, null, 2));
+        console.log(chalk.white(`\n💾 Diff written to: ${chalk.bold(outputFile)}\n`));
+        return true;
+    }
+
+    printTable(title, head, rows) {
+        if (rows.length === 0) return;
+
+        console.log(chalk.bold.white(`\n${title}`));
+        const table = new Table({
+            head: head.map(h => chalk.cyan(h)),
+            style: { head: [], border: ['gray'] }
+        });
+        rows.slice(0, MAX_ROWS).forEach(row => table.push(row));
+        console.log(table.toString());
+        if (rows.length > MAX_ROWS) {
+            console.log(chalk.gray(`  …and ${rows.length - MAX_ROWS} more in the diff file`));
+        }
+    }
+
+    formatDelta(delta) {
+        if (delta > 0) return chalk.red(`+${delta}`);
+        if (delta < 0) return chalk.green(`${delta}`);
+        return chalk.gray('0');
+    }
+
+    printReport(diff) {
+        console.log(chalk.cyan('\n🔀 UML DIFF'));
+        console.log(chalk.gray(`   ${diff.old.project} (${diff.old.generated || 'unknown'}) → ${diff.new.project} (${diff.new.generated || 'unknown'})`));
+
+        const summary = new Table({
+            head: [chalk.cyan('Change'), chalk.cyan('Count')],
+            style: { head: [], border: ['cyan'] }
+        });
+        summary.push(
+            ['Classes added', chalk.green(diff.summary.added.toString())],
+            ['Classes removed', chalk.red(diff.summary.removed.toString())],
+            ['Classes moved', chalk.yellow(diff.summary.moved.toString())],
+            ['Complexity changed', diff.summary.complexityChanged.toString()],
+            ['Threat level changed', diff.summary.threatLevelChanged.toString()],
+            ['New unused exports', chalk.red(diff.summary.newUnusedExports.toString())],
+            ['Resolved unused exports', chalk.green(diff.summary.resolvedUnusedExports.toString())],
+            ['New similarity pairs', chalk.yellow(diff.summary.newSimilarPairs.toString())]
+        );
+        console.log(summary.toString());
+
+        this.printTable('➕ Added classes', ['Class', 'Type', 'File'],
+            diff.classes.added.map(cls => [chalk.green(cls.name), cls.type, chalk.gray(cls.filePath)]));
+        this.printTable('➖ Removed classes', ['Class', 'Type', 'File'],
+            diff.classes.removed.map(cls => [chalk.red(cls.name), cls.type, chalk.gray(cls.filePath)]));
+        this.printTable('🚚 Moved classes', ['Class', 'From', 'To'],
+            diff.classes.moved.map(cls => [chalk.yellow(cls.name), chalk.gray(cls.oldFilePath), cls.newFilePath]));
+        this.printTable('🌡️  Complexity changes', ['Class', 'Complexity', 'Δ', 'Threat level'],
+            diff.complexityChanges.map(change => [
+                change.name,
+                `${change.complexity.old} → ${change.complexity.new}`,
+                this.formatDelta(change.complexity.delta),
+                change.threatLevel.old === change.threatLevel.new
+                    ? chalk.gray(change.threatLevel.new || '-')
+                    : `${change.threatLevel.old || '-'} → ${change.threatLevel.delta > 0 ? chalk.red(change.threatLevel.new) : chalk.green(change.threatLevel.new)}`
+            ]));
+        this.printTable('📤 New unused exports', ['Export', 'File', 'Line'],
+            diff.unusedExports.added.map(e => [chalk.red(e.exportName), chalk.gray(e.file), String(e.line ?? '')]));
+        this.printTable('✅ Resolved unused exports', ['Export', 'File', 'Line'],
+            diff.unusedExports.resolved.map(e => [chalk.green(e.exportName), chalk.gray(e.file), String(e.line ?? '')]));
+        this.printTable('👯 New similarity pairs', ['Class', 'Class', 'Score'],
+            diff.similarPairs.added.map(pair => [pair.class1Name, pair.class2Name, chalk.yellow(pair.similarityScore.toString())]));
+    }
+}
+
+module.exports = new DiffManager();
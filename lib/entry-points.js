@@ -0,0 +1,142 @@
+/**
+ * 🚪 Entry Points - Where a project's code starts running
+ *
+ * Files count as entry points when they are named by:
+ * - package.json `main` (or `exports['.']`, `module`, `source`), `bin` and
+ *   `exports` subpaths, of the project and of each workspace; entries
+ *   pointing at unbuilt output fall back to the sources (see packageEntry)
+ * - Next.js conventions, in packages that depend on `next` or have a
+ *   next.config file: everything under `pages/`, the route files under
+ *   `app/` (page, layout, route, …), and middleware/instrumentation
+ * - the `entryPoints` setting: globs relative to the project root
+ *
+ * Anything the import graph can't reach from one of them is dead weight.
+ * A package.json entry outside the analyzed files (a bin script next to
+ * `src/`) still counts: its imports are read to seed the walk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toPosix, compilePatterns, matchRules } = require('./glob');
+const { flattenTargets, normalizeExports, probe } = require('./module-resolver');
+const { packageEntry } = require('./workspaces');
+
+const NEXT_CONFIG_FILES = ['next.config.js', 'next.config.mjs', 'next.config.cjs', 'next.config.ts'];
+// Relative to the package; `app/` only routes its special files
+const NEXT_PATTERNS = [
+    '{,src/}pages/**',
+    '{,src/}app/**/{page,layout,template,loading,error,global-error,not-found,default,route,opengraph-image,twitter-image,icon,apple-icon,sitemap,robots,manifest}.*',
+    '{,src/}{middleware,instrumentation}.*',
+    'next.config.*'
+];
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies'];
+
+function readJSON(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function isNextApp(packageRoot, manifest) {
+    return DEPENDENCY_FIELDS.some(field => manifest[field] && manifest[field].next) ||
+        NEXT_CONFIG_FILES.some(fileName => fs.existsSync(path.join(packageRoot, fileName)));
+}
+
+/**
+ * Entry files a package.json declares: [{ file, source: 'main' | 'bin' |
+ * 'exports', declared }], `file` null when `declared` (e.g. `bin cli`)
+ * names no source file. Analyzed files win over other project sources, so
+ * a built `dist/` copy never shadows `src/`.
+ */
+function manifestEntries(packageRoot, manifest, files, accepts) {
+    const first = find => accepts.reduce((found, accept) => found || find(accept), null);
+    const hasMain = manifest.exports !== undefined || ['main', 'module', 'source'].some(field => typeof manifest[field] === 'string');
+    const entries = [{ file: first(accept => packageEntry(packageRoot, manifest, '', accept)), source: 'main', declared: hasMain ? 'main' : null }];
+
+    const bin = typeof manifest.bin === 'string' ? { [manifest.name || 'bin']: manifest.bin } : manifest.bin || {};
+    Object.entries(bin).filter(([, target]) => typeof target === 'string').forEach(([name, target]) => entries.push({
+        file: first(accept => probe(path.join(packageRoot, target), accept)),
+        source: 'bin',
+        declared: `bin ${name}`
+    }));
+
+    if (manifest.exports !== undefined && manifest.exports !== null) {
+        const exportsMap = normalizeExports(manifest.exports);
+        Object.keys(exportsMap).filter(key => key.startsWith('./') && key !== './package.json').forEach(key => {
+            if (!key.includes('*')) {
+                entries.push({
+                    file: first(accept => packageEntry(packageRoot, manifest, key.substring(2), accept)),
+                    source: 'exports',
+                    declared: `exports ${key}`
+                });
+                return;
+            }
+            // `"./features/*": "./src/features/*.js"` exposes every file the pattern covers
+            flattenTargets(exportsMap[key]).filter(target => target.startsWith('./') && target.includes('*')).forEach(target => {
+                const [prefix, suffix] = target.substring(2).split('*');
+                const suffixBase = suffix.replace(/\.[cm]?[jt]sx?$/, '');
+                files.forEach(file => {
+                    const relativePath = toPosix(path.relative(packageRoot, file));
+                    const withoutExtension = relativePath.replace(/\.[cm]?[jt]sx?$/, '');
+                    if (!relativePath.startsWith('../') && relativePath.startsWith(prefix) && withoutExtension.endsWith(suffixBase)) {
+                        entries.push({ file, source: 'exports', declared: null });
+                    }
+                });
+            });
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * 🔎 The project's entry points: [{ file, source }] with absolute paths,
+ * one per file (the first source that names it), in discovery order.
+ * `source` is 'main', 'bin', 'exports', 'nextjs' or 'config'.
+ *
+ * @param {string} projectRoot
+ * @param {Array<string>} files - absolute paths of the analyzed files
+ * @param {Object} [options] - { patterns: the `entryPoints` setting,
+ *   workspaces: from discoverWorkspaces(), isSourceFile: absolutePath →
+ *   boolean for project sources outside `files` that package.json entries
+ *   may name (none when omitted), logger: warned about entries naming no
+ *   source file }
+ */
+function findEntryPoints(projectRoot, files, options = {}) {
+    const { patterns = [], workspaces = [], isSourceFile = () => false, logger } = options;
+    const known = new Set(files);
+    const accepts = [candidate => known.has(candidate), isSourceFile];
+    const relativePaths = new Map(files.map(file => [file, toPosix(path.relative(projectRoot, file))]));
+    const entries = new Map();
+
+    const add = (file, source) => {
+        if (!entries.has(file)) entries.set(file, source);
+    };
+    const addMatching = (rules, source) => relativePaths.forEach((relativePath, file) => {
+        if (matchRules(rules, relativePath, false)) add(file, source);
+    });
+
+    const packages = [{ path: '', manifest: readJSON(path.join(projectRoot, 'package.json')) }, ...workspaces];
+    packages.filter(pkg => pkg.manifest).forEach(pkg => {
+        const packageRoot = path.join(projectRoot, pkg.path);
+        manifestEntries(packageRoot, pkg.manifest, files, accepts).forEach(entry => {
+            if (entry.file) {
+                add(entry.file, entry.source);
+            } else if (entry.declared && logger) {
+                const manifestPath = toPosix(path.join(pkg.path, 'package.json'));
+                logger.warn(`⚠️ ${manifestPath} ${entry.declared} names no source file; nothing is reached from it`);
+            }
+        });
+        if (isNextApp(packageRoot, pkg.manifest)) {
+            addMatching(compilePatterns(NEXT_PATTERNS, { anchored: true, base: pkg.path }), 'nextjs');
+        }
+    });
+
+    addMatching(compilePatterns(patterns, { anchored: true }), 'config');
+
+    return [...entries].map(([file, source]) => ({ file, source }));
+}
+
+module.exports = { findEntryPoints };
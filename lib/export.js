@@ -0,0 +1,48 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { getExporter, listFormats } = require('./exporters');
+const { readUMLFile } = require('./uml-file');
+
+class ExportManager {
+    /**
+     * Render UML data in another format. Returns the text, or null (after
+     * printing why) when the format is unknown or the selection is empty.
+     */
+    render(format, umlData, options = {}) {
+        const exporter = getExporter(format);
+        if (!exporter) {
+            console.error(chalk.red(`\n❌ Unknown format: ${format}\n`));
+            console.log(chalk.gray(`  Available formats: ${listFormats().join(', ')}\n`));
+            return null;
+        }
+
+        try {
+            return exporter.export(umlData, options);
+        } catch (error) {
+            console.error(chalk.red(`\n❌ Export failed: ${error.message}\n`));
+            return null;
+        }
+    }
+
+    /**
+     * Convert an existing UML JSON file. Writes to `outputFile`, or stdout
+     * when none is given so diagrams can be piped straight into a renderer.
+     */
+    exportFile(format, filePath, outputFile, options = {}) {
+        const umlData = readUMLFile(filePath);
+        if (!umlData) return false;
+
+        const text = this.render(format, umlData, options);
+        if (text === null) return false;
+
+        if (outputFile) {
+            fs.writeFileSync(outputFile, text);
+            console.log(chalk.green(`\n✅ ${getExporter(format).description} written to: ${chalk.bold(outputFile)}\n`));
+        } else {
+            process.stdout.write(text);
+        }
+        return true;
+    }
+}
+
+module.exports = new ExportManager();
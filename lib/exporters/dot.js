@@ -0,0 +1,85 @@
+/**
+ * 🕸️ DOT Exporter - Graphviz input for `dot`/`neato` in docs builds
+ *
+ * Class nodes are clustered by package and filled by threat level. Metrics
+ * ride along as custom node attributes (Graphviz ignores ones it doesn't
+ * know), and edge styles follow the edge kind.
+ */
+
+const { buildGraph, NODE_ATTRIBUTES } = require('./graph-data');
+
+const THREAT_FILL = { LOW: '#c8e6c9', MEDIUM: '#fff9c4', HIGH: '#ffe0b2', CRITICAL: '#ffcdd2' };
+
+const EDGE_STYLES = {
+    extends: 'arrowhead=empty',
+    implements: 'arrowhead=empty, style=dashed',
+    'type-only': 'style=dotted',
+    'dynamic-import': 'style=dashed',
+    worker: 'style=dashed'
+};
+
+function quote(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function nodeLine(node) {
+    const attributes = [`label=${quote(node.label)}`, `fillcolor=${quote(THREAT_FILL[node.attributes.threatLevel] || '#eeeeee')}`];
+    Object.keys(NODE_ATTRIBUTES).forEach(name => {
+        const value = node.attributes[name];
+        attributes.push(`${name}=${typeof value === 'number' ? value : quote(value)}`);
+    });
+    return `${quote(node.id)} [${attributes.join(', ')}];`;
+}
+
+/**
+ * @param {Object} umlData - generated UML
+ * @param {Object} options - graph selection options (see buildGraph)
+ * @returns {string} DOT source
+ */
+function exportDot(umlData, options = {}) {
+    const { kind, omitted, nodes, edges } = buildGraph(umlData, options);
+    const lines = [`digraph ${quote(`${umlData.project?.name || 'cartogomancy'} (${kind})`)} {`];
+    if (omitted > 0) {
+        lines.push(`  // ${omitted} less-connected nodes omitted (--limit ${options.limit})`);
+    }
+    lines.push('  graph [rankdir=LR, fontname="Helvetica"];');
+    lines.push('  node [shape=box, style="rounded,filled", fontname="Helvetica"];');
+    lines.push('  edge [fontname="Helvetica", fontsize=10];');
+    lines.push('');
+
+    const groups = new Map();
+    nodes.forEach(node => {
+        if (!groups.has(node.group)) groups.set(node.group, []);
+        groups.get(node.group).push(node);
+    });
+
+    groups.forEach((groupNodes, group) => {
+        if (group === null) {
+            groupNodes.forEach(node => lines.push(`  ${nodeLine(node)}`));
+            return;
+        }
+        lines.push(`  subgraph ${quote(`cluster_${group}`)} {`);
+        lines.push(`    label=${quote(group === 'external' ? 'External Libraries' : group)};`);
+        groupNodes.forEach(node => lines.push(`    ${nodeLine(node)}`));
+        lines.push('  }');
+    });
+    lines.push('');
+
+    edges.forEach(edge => {
+        const { kind: edgeKind, weight } = edge.attributes;
+        const attributes = [`kind=${quote(edgeKind)}`, `weight=${weight}`];
+        if (kind === 'package') attributes.push(`label=${quote(weight)}`);
+        if (EDGE_STYLES[edgeKind]) attributes.push(EDGE_STYLES[edgeKind]);
+        lines.push(`  ${quote(edge.source)} -> ${quote(edge.target)} [${attributes.join(', ')}];`);
+    });
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    name: 'dot',
+    extension: 'dot',
+    description: 'Graphviz DOT graph',
+    export: exportDot
+};
@@ -0,0 +1,78 @@
+/**
+ * 🕸️ GEXF Exporter - Dependency graph for Gephi
+ *
+ * GEXF 1.3 with declared node/edge attributes, so Gephi can size, color and
+ * filter by complexity, churnRate, coverage or threatLevel out of the box.
+ */
+
+const { buildGraph, escapeXml, NODE_ATTRIBUTES, EDGE_ATTRIBUTES } = require('./graph-data');
+
+// GraphML-style attribute types → GEXF types
+const GEXF_TYPES = { string: 'string', double: 'double', int: 'integer' };
+
+function attributeBlock(attributes, attributeClass, indent) {
+    const lines = [`${indent}<attributes class="${attributeClass}">`];
+    Object.entries(attributes).forEach(([name, type]) => {
+        lines.push(`${indent}  <attribute id="${name}" title="${name}" type="${GEXF_TYPES[type]}"/>`);
+    });
+    lines.push(`${indent}</attributes>`);
+    return lines;
+}
+
+function attvalues(attributes, names, indent) {
+    const lines = [`${indent}<attvalues>`];
+    names.forEach(name => {
+        lines.push(`${indent}  <attvalue for="${name}" value="${escapeXml(attributes[name])}"/>`);
+    });
+    lines.push(`${indent}</attvalues>`);
+    return lines;
+}
+
+/**
+ * @param {Object} umlData - generated UML
+ * @param {Object} options - graph selection options (see buildGraph)
+ * @returns {string} GEXF document
+ */
+function exportGEXF(umlData, options = {}) {
+    const { kind, omitted, nodes, edges } = buildGraph(umlData, options);
+    const modified = (umlData.generated || '').substring(0, 10);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gexf xmlns="http://gexf.net/1.3" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://gexf.net/1.3 http://gexf.net/1.3/gexf.xsd" version="1.3">',
+        `  <meta${modified ? ` lastmodifieddate="${modified}"` : ''}>`,
+        '    <creator>cartogomancy</creator>',
+        `    <description>${escapeXml(`${umlData.project?.name || 'cartogomancy'} ${kind} graph`)}</description>`,
+        '  </meta>',
+        '  <graph defaultedgetype="directed" mode="static">',
+        ...attributeBlock(NODE_ATTRIBUTES, 'node', '    '),
+        ...attributeBlock(EDGE_ATTRIBUTES, 'edge', '    '),
+        '    <nodes>'
+    ];
+
+    if (omitted > 0) {
+        lines.push(`    <!-- ${omitted} less-connected nodes omitted (--limit ${options.limit}) -->`);
+    }
+    nodes.forEach(node => {
+        lines.push(`      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}">`);
+        lines.push(...attvalues(node.attributes, Object.keys(NODE_ATTRIBUTES), '        '));
+        lines.push('      </node>');
+    });
+    lines.push('    </nodes>');
+    lines.push('    <edges>');
+    edges.forEach(edge => {
+        lines.push(`      <edge id="${edge.id}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" weight="${edge.attributes.weight}">`);
+        lines.push(...attvalues(edge.attributes, Object.keys(EDGE_ATTRIBUTES), '        '));
+        lines.push('      </edge>');
+    });
+    lines.push('    </edges>');
+    lines.push('  </graph>');
+    lines.push('</gexf>');
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    name: 'gexf',
+    extension: 'gexf',
+    description: 'GEXF graph',
+    export: exportGEXF
+};
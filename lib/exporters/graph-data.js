@@ -0,0 +1,141 @@
+/**
+ * 🕸️ Graph Data - Neutral node/edge lists for the graph-file exporters
+ *
+ * DOT, GraphML and GEXF all describe the same two graphs:
+ * - class (default): one node per class, one edge per typed dependency edge
+ * - package: one node per package with aggregated metrics, one edge per
+ *   package pair, weighted by how many class-level edges it folds in
+ *
+ * Every node carries the same attributes so other tools can lay out and
+ * filter without re-parsing the UML JSON.
+ */
+
+const { selectGraph, selectPackageGraph } = require('./selection');
+
+const THREAT_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+// Attribute name → type, in output order ('string' | 'double' | 'int')
+const NODE_ATTRIBUTES = {
+    type: 'string',
+    package: 'string',
+    path: 'string',
+    complexity: 'double',
+    churnRate: 'double',
+    coverage: 'double',
+    threatLevel: 'string',
+    lines: 'int',
+    classCount: 'int'
+};
+
+const EDGE_ATTRIBUTES = {
+    kind: 'string',
+    weight: 'int',
+    symbols: 'string'
+};
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function classNode(cls) {
+    return {
+        id: cls.id,
+        label: cls.name,
+        group: cls.package,
+        attributes: {
+            type: cls.type,
+            package: cls.package,
+            path: cls.filePath,
+            complexity: cls.complexity || 0,
+            churnRate: cls.gitMetrics?.churnRate || 0,
+            coverage: cls.coverageMetrics?.overallCoverage || 0,
+            threatLevel: cls.complexityMetrics?.threatLevel || 'LOW',
+            lines: cls.metrics?.lines || 0,
+            classCount: 1
+        }
+    };
+}
+
+/**
+ * Package metrics: total lines, average complexity and coverage, churn
+ * averaged per file (classes in one file share git history), worst threat level.
+ */
+function packageNode(pkg, classes) {
+    const members = classes.filter(cls => cls.package === pkg.path && !cls.isExternal);
+    const churnByFile = new Map(members.map(cls => [cls.filePath, cls.gitMetrics?.churnRate || 0]));
+    const average = values => values.length > 0 ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : 0;
+    const worstThreat = members.reduce((worst, cls) => {
+        const level = cls.complexityMetrics?.threatLevel;
+        return THREAT_ORDER.indexOf(level) > THREAT_ORDER.indexOf(worst) ? level : worst;
+    }, 'LOW');
+
+    return {
+        id: pkg.id,
+        label: pkg.path,
+        group: null,
+        attributes: {
+            type: 'package',
+            package: pkg.path,
+            path: pkg.path,
+            complexity: average(members.map(cls => cls.complexity || 0)),
+            churnRate: average(Array.from(churnByFile.values())),
+            coverage: average(members.map(cls => cls.coverageMetrics?.overallCoverage || 0)),
+            threatLevel: worstThreat,
+            lines: members.reduce((sum, cls) => sum + (cls.metrics?.lines || 0), 0),
+            classCount: members.length
+        }
+    };
+}
+
+/**
+ * @param {Object} umlData - generated UML
+ * @param {Object} options - { graph: 'class' | 'package', package, focus, depth, limit }
+ * @returns {{ kind, omitted, nodes: Array<{ id, label, group, attributes }>, edges: Array<{ id, source, target, attributes }> }}
+ */
+function buildGraph(umlData, options = {}) {
+    const graph = options.graph || 'class';
+
+    if (graph === 'class') {
+        const { classes, edges, omitted } = selectGraph(umlData, options);
+        return {
+            kind: graph,
+            omitted,
+            nodes: classes.map(classNode),
+            edges: edges.map((edge, index) => ({
+                id: `e${index}`,
+                source: edge.source,
+                target: edge.target,
+                attributes: { kind: edge.kind, weight: 1, symbols: (edge.symbols || []).join(',') }
+            }))
+        };
+    }
+
+    if (graph === 'package') {
+        if (options.focus) throw new Error('--focus applies to the class graph only');
+        const { packages, edges, omitted } = selectPackageGraph(umlData, options);
+        return {
+            kind: graph,
+            omitted,
+            nodes: packages.map(pkg => packageNode(pkg, umlData.classes || [])),
+            edges: edges.map((edge, index) => ({
+                id: `e${index}`,
+                source: edge.source,
+                target: edge.target,
+                attributes: { kind: edge.kinds.join(','), weight: edge.count, symbols: '' }
+            }))
+        };
+    }
+
+    throw new Error(`Unknown graph "${graph}" (use class or package)`);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = { buildGraph, escapeXml, NODE_ATTRIBUTES, EDGE_ATTRIBUTES };
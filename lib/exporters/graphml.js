@@ -0,0 +1,57 @@
+/**
+ * 🕸️ GraphML Exporter - Dependency graph for yEd, Cytoscape, NetworkX & co.
+ */
+
+const { buildGraph, escapeXml, NODE_ATTRIBUTES, EDGE_ATTRIBUTES } = require('./graph-data');
+
+/**
+ * @param {Object} umlData - generated UML
+ * @param {Object} options - graph selection options (see buildGraph)
+ * @returns {string} GraphML document
+ */
+function exportGraphML(umlData, options = {}) {
+    const { kind, omitted, nodes, edges } = buildGraph(umlData, options);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+        '         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+        '         xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+        '  <key id="label" for="node" attr.name="label" attr.type="string"/>'
+    ];
+    Object.entries(NODE_ATTRIBUTES).forEach(([name, type]) => {
+        lines.push(`  <key id="${name}" for="node" attr.name="${name}" attr.type="${type}"/>`);
+    });
+    Object.entries(EDGE_ATTRIBUTES).forEach(([name, type]) => {
+        lines.push(`  <key id="edge_${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`);
+    });
+
+    if (omitted > 0) {
+        lines.push(`  <!-- ${omitted} less-connected nodes omitted (--limit ${options.limit}) -->`);
+    }
+    lines.push(`  <graph id="${escapeXml(`${umlData.project?.name || 'cartogomancy'}-${kind}`)}" edgedefault="directed">`);
+    nodes.forEach(node => {
+        lines.push(`    <node id="${escapeXml(node.id)}">`);
+        lines.push(`      <data key="label">${escapeXml(node.label)}</data>`);
+        Object.keys(NODE_ATTRIBUTES).forEach(name => {
+            lines.push(`      <data key="${name}">${escapeXml(node.attributes[name])}</data>`);
+        });
+        lines.push('    </node>');
+    });
+    edges.forEach(edge => {
+        lines.push(`    <edge id="${edge.id}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`);
+        Object.keys(EDGE_ATTRIBUTES).forEach(name => {
+            lines.push(`      <data key="edge_${name}">${escapeXml(edge.attributes[name])}</data>`);
+        });
+        lines.push('    </edge>');
+    });
+    lines.push('  </graph>');
+    lines.push('</graphml>');
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    name: 'graphml',
+    extension: 'graphml',
+    description: 'GraphML graph',
+    export: exportGraphML
+};
@@ -0,0 +1,373 @@
+/**
+ * 📊 HTML Exporter - Single-file report for people without SwarmDesk open
+ *
+ * Everything (styles, data, sorting and treemap scripts) is inlined, so the
+ * file works offline and as a CI artifact. Sections:
+ * - summary cards and threat-level distribution
+ * - zoomable package treemap sized by lines of code, colored by worst threat level
+ * - sortable tables: most complex files, high-churn files, unused exports,
+ *   redundancy suggestions and Mad Tinker picks
+ *
+ * Sections whose analysis was skipped (--no-git, --no-imports, ...) say so
+ * instead of rendering an empty table.
+ */
+
+const THREAT_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function threatBadge(level) {
+    if (!level) return '';
+    return `<span class="threat threat-${escapeHtml(level.toLowerCase())}">${escapeHtml(level)}</span>`;
+}
+
+/**
+ * Cells are plain values or { html, sort } when the display differs from the sort key.
+ * Numeric columns sort numerically; everything else alphabetically.
+ */
+function table(columns, rows) {
+    const head = columns.map(col =>
+        `<th data-type="${col.numeric ? 'number' : 'text'}">${escapeHtml(col.label)}</th>`).join('');
+    const body = rows.map(row => `<tr>${row.map((cell, i) => {
+        const isObject = cell !== null && typeof cell === 'object';
+        const html = isObject ? cell.html : escapeHtml(cell);
+        const sort = isObject ? cell.sort : cell;
+        return `<td${columns[i].numeric ? ' class="num"' : ''} data-sort="${escapeHtml(sort)}">${html}</td>`;
+    }).join('')}</tr>`).join('\n');
+    return `<table class="sortable"><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function threatCell(level) {
+    return { html: threatBadge(level), sort: THREAT_ORDER.indexOf(level) };
+}
+
+function section(id, title, content, count) {
+    const badge = count !== undefined ? ` <span class="count">${count}</span>` : '';
+    return `<section id="${id}"><h2>${title}${badge}</h2>\n${content}\n</section>`;
+}
+
+function skipped(reason) {
+    return `<p class="skipped">${escapeHtml(reason)}</p>`;
+}
+
+function complexitySection(umlData) {
+    const analysis = umlData.complexityAnalysis;
+    if (!analysis) return section('complexity', '🌡️ Most Complex Files', skipped('Complexity analysis was not run.'));
+
+    const rows = (analysis.topComplexFiles || []).map(f => [
+        f.name, f.file, f.cyclomaticComplexity, f.cognitiveComplexity, f.nestingDepth, f.linesOfCode, threatCell(f.threatLevel)
+    ]);
+    return section('complexity', '🌡️ Most Complex Files', table([
+        { label: 'Class' }, { label: 'File' }, { label: 'Cyclomatic', numeric: true }, { label: 'Cognitive', numeric: true },
+        { label: 'Nesting', numeric: true }, { label: 'Lines', numeric: true }, { label: 'Threat', numeric: true }
+    ], rows), rows.length);
+}
+
+function churnSection(umlData) {
+    const analysis = umlData.gitAnalysis;
+    if (!analysis) return section('churn', '🔥 High-Churn Files', skipped('Git analysis was not run (--no-git, or not a git repository).'));
+
+    const rows = (analysis.highChurnFiles || []).map(f => [
+        f.name, f.file, f.churnRate, f.commits, f.bugFixRatio, f.lastCommitDaysAgo
+    ]);
+    return section('churn', '🔥 High-Churn Files', table([
+        { label: 'Class' }, { label: 'File' }, { label: 'Churn rate', numeric: true }, { label: 'Commits', numeric: true },
+        { label: 'Bug-fix ratio', numeric: true }, { label: 'Last commit (days ago)', numeric: true }
+    ], rows), rows.length);
+}
+
+function unusedExportsSection(umlData) {
+    const analysis = umlData.importAnalysis;
+    if (!analysis) return section('unused-exports', '📤 Unused Exports', skipped('Import analysis was not run (--no-imports).'));
+
+    const rows = (analysis.unusedExports || []).map(e => [
+        e.exportName, e.exportType, e.file, e.line ?? '', (e.reExportedVia || []).map(step => step.file).join(' → ')
+    ]);
+    return section('unused-exports', '📤 Unused Exports', table([
+        { label: 'Export' }, { label: 'Type' }, { label: 'File' }, { label: 'Line', numeric: true }, { label: 'Re-exported via' }
+    ], rows), rows.length);
+}
+
+function redundancySection(umlData) {
+    const analysis = umlData.redundancyAnalysis;
+    if (!analysis) return section('redundancy', '👯 Redundancy Suggestions', skipped('Redundancy analysis was not run (--no-redundancy).'));
+
+    const rows = (analysis.suggestions || []).map(s => [
+        s.score,
+        (s.classes || []).join(', '),
+        { html: (s.recommendations || []).map(escapeHtml).join('<br>'), sort: (s.recommendations || []).join(' ') }
+    ]);
+    return section('redundancy', '👯 Redundancy Suggestions', table([
+        { label: 'Score', numeric: true }, { label: 'Classes' }, { label: 'Recommendation' }
+    ], rows), rows.length);
+}
+
+function madTinkerSection(umlData) {
+    const analysis = umlData.possibilityAnalysis;
+    if (!analysis) return section('mad-tinker', '🔮 Mad Tinker Picks', skipped('Possibility analysis was not run (--no-mad-tinker).'));
+
+    const rows = (analysis.clusters || []).filter(c => c.madTinkersPick).map(c => [
+        (c.members || []).join(', '),
+        c.madTinkersPick.description,
+        c.madTinkersPick.whyInteresting,
+        c.madTinkersPick.theQuestion
+    ]);
+    return section('mad-tinker', `🔮 Mad Tinker Picks <span class="meta">wildness ${escapeHtml(analysis.wildness)}/10</span>`, table([
+        { label: 'Cluster' }, { label: 'Unexplored configuration' }, { label: 'Why interesting' }, { label: 'The question' }
+    ], rows), rows.length);
+}
+
+/**
+ * Package tree for the treemap: nested packages, with files as leaves.
+ * Each node carries its total lines and the worst threat level below it.
+ */
+function buildPackageTree(umlData) {
+    const root = { name: umlData.project?.name || 'project', path: '', lines: 0, threat: 'LOW', children: [] };
+    const byPath = new Map([['', root]]);
+
+    const packageNode = pkgPath => {
+        const segments = String(pkgPath || '').split('/').filter(segment => segment && segment !== '.');
+        let node = root;
+        let current = '';
+        segments.forEach(segment => {
+            current = current ? `${current}/${segment}` : segment;
+            if (!byPath.has(current)) {
+                const child = { name: segment, path: current, lines: 0, threat: 'LOW', children: [] };
+                node.children.push(child);
+                byPath.set(current, child);
+            }
+            node = byPath.get(current);
+        });
+        return node;
+    };
+
+    (umlData.files || []).forEach(file => {
+        const lines = file.metrics?.lines || 0;
+        if (lines === 0) return;
+        packageNode(file.package).children.push({
+            name: file.name, path: file.path, lines, threat: file.metrics?.threatLevel || 'LOW'
+        });
+    });
+
+    // Roll lines and threat levels up; drop packages without code
+    const rollUp = node => {
+        if (!node.children) return node;
+        node.children = node.children.map(rollUp).filter(child => child.lines > 0);
+        node.lines = node.children.reduce((sum, child) => sum + child.lines, 0);
+        node.threat = node.children.reduce((worst, child) =>
+            THREAT_ORDER.indexOf(child.threat) > THREAT_ORDER.indexOf(worst) ? child.threat : worst, 'LOW');
+        return node;
+    };
+    return rollUp(root);
+}
+
+function summaryCards(umlData) {
+    const classes = (umlData.classes || []).filter(cls => !cls.isExternal);
+    const distribution = umlData.complexityAnalysis?.threatLevelDistribution || {};
+    const cards = [
+        ['Packages', (umlData.packages || []).filter(pkg => pkg.id !== 'package_external').length],
+        ['Files', (umlData.files || []).length],
+        ['Classes', classes.length],
+        ['Lines of code', (umlData.files || []).reduce((sum, f) => sum + (f.metrics?.lines || 0), 0)]
+    ];
+    const threatCards = THREAT_ORDER.filter(level => distribution[level] !== undefined)
+        .map(level => `<div class="card"><div class="value">${distribution[level]}</div><div class="label">${threatBadge(level)}</div></div>`);
+    return `<div class="cards">${cards.map(([label, value]) =>
+        `<div class="card"><div class="value">${value.toLocaleString('en-US')}</div><div class="label">${label}</div></div>`).join('')}${threatCards.join('')}</div>`;
+}
+
+const STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+header { background: #24292f; color: #fff; padding: 20px 32px; }
+header h1 { margin: 0 0 4px; font-size: 22px; }
+header .meta { color: #afb8c1; }
+main { max-width: 1200px; margin: 0 auto; padding: 24px 32px 48px; }
+nav a { margin-right: 16px; color: #0969da; text-decoration: none; }
+section { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 16px 20px; margin-top: 24px; }
+h2 { margin: 0 0 12px; font-size: 18px; }
+.meta { color: #57606a; font-size: 13px; font-weight: normal; }
+.count { background: #eaeef2; border-radius: 10px; padding: 1px 8px; font-size: 13px; font-weight: normal; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 16px; }
+.card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; min-width: 110px; }
+.card .value { font-size: 22px; font-weight: 600; }
+.card .label { color: #57606a; font-size: 13px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eaeef2; vertical-align: top; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+th { cursor: pointer; user-select: none; background: #f6f8fa; white-space: nowrap; }
+th.asc::after { content: " ▲"; }
+th.desc::after { content: " ▼"; }
+.threat { border-radius: 10px; padding: 1px 8px; font-size: 12px; font-weight: 600; }
+.threat-low { background: #dafbe1; color: #116329; }
+.threat-medium { background: #fff8c5; color: #7d4e00; }
+.threat-high { background: #ffe7d1; color: #953800; }
+.threat-critical { background: #ffebe9; color: #a40e26; }
+.skipped { color: #57606a; font-style: italic; }
+#breadcrumb { margin-bottom: 8px; font-size: 13px; }
+#breadcrumb a { color: #0969da; cursor: pointer; }
+#treemap { position: relative; height: 480px; background: #eaeef2; border-radius: 4px; overflow: hidden; }
+.tile { position: absolute; box-sizing: border-box; border: 1px solid #fff; padding: 4px; overflow: hidden; font-size: 12px; line-height: 1.3; }
+.tile.zoomable { cursor: zoom-in; }
+.tile .lines { color: rgba(0, 0, 0, 0.55); }
+.tile-low { background: #aceebb; }
+.tile-medium { background: #f5e08a; }
+.tile-high { background: #ffc58f; }
+.tile-critical { background: #ffaba8; }
+`;
+
+// Runs in the browser: table sorting and the zoomable treemap
+const SCRIPT = `
+(function () {
+    document.querySelectorAll('table.sortable').forEach(function (tableEl) {
+        tableEl.querySelectorAll('th').forEach(function (th, column) {
+            th.addEventListener('click', function () {
+                var ascending = !th.classList.contains('asc');
+                tableEl.querySelectorAll('th').forEach(function (other) { other.classList.remove('asc', 'desc'); });
+                th.classList.add(ascending ? 'asc' : 'desc');
+                var numeric = th.dataset.type === 'number';
+                var tbody = tableEl.tBodies[0];
+                var rows = Array.prototype.slice.call(tbody.rows);
+                rows.sort(function (a, b) {
+                    var x = a.cells[column].dataset.sort;
+                    var y = b.cells[column].dataset.sort;
+                    var order = numeric ? (parseFloat(x) || 0) - (parseFloat(y) || 0) : x.localeCompare(y);
+                    return ascending ? order : -order;
+                });
+                rows.forEach(function (row) { tbody.appendChild(row); });
+            });
+        });
+    });
+
+    var tree = JSON.parse(document.getElementById('treemap-data').textContent);
+    var container = document.getElementById('treemap');
+    var breadcrumb = document.getElementById('breadcrumb');
+    var trail = [tree];
+
+    // Worst aspect ratio of a row laid along a side of length 'side'
+    function worst(row, side) {
+        var sum = 0, max = 0, min = Infinity;
+        row.forEach(function (item) { sum += item.area; max = Math.max(max, item.area); min = Math.min(min, item.area); });
+        return Math.max(side * side * max / (sum * sum), (sum * sum) / (side * side * min));
+    }
+
+    // Squarified treemap layout
+    function squarify(items, x, y, w, h) {
+        var total = items.reduce(function (sum, item) { return sum + item.node.lines; }, 0);
+        var remaining = items.map(function (item) { return { node: item.node, area: item.node.lines / total * w * h }; });
+        var rects = [];
+        while (remaining.length) {
+            var side = Math.min(w, h), row = [], best = Infinity;
+            while (remaining.length) {
+                var candidate = row.concat([remaining[0]]);
+                var ratio = worst(candidate, side);
+                if (row.length && ratio > best) break;
+                row = candidate; best = ratio; remaining.shift();
+            }
+            var rowArea = row.reduce(function (sum, item) { return sum + item.area; }, 0);
+            if (w >= h) {
+                var rowWidth = rowArea / h, cy = y;
+                row.forEach(function (item) { var ih = item.area / rowWidth; rects.push({ node: item.node, x: x, y: cy, w: rowWidth, h: ih }); cy += ih; });
+                x += rowWidth; w -= rowWidth;
+            } else {
+                var rowHeight = rowArea / w, cx = x;
+                row.forEach(function (item) { var iw = item.area / rowHeight; rects.push({ node: item.node, x: cx, y: y, w: iw, h: rowHeight }); cx += iw; });
+                y += rowHeight; h -= rowHeight;
+            }
+        }
+        return rects;
+    }
+
+    function render() {
+        var current = trail[trail.length - 1];
+        breadcrumb.innerHTML = '';
+        trail.forEach(function (node, index) {
+            if (index > 0) breadcrumb.appendChild(document.createTextNode(' / '));
+            var link = document.createElement(index < trail.length - 1 ? 'a' : 'strong');
+            link.textContent = node.name;
+            if (index < trail.length - 1) link.addEventListener('click', function () { trail = trail.slice(0, index + 1); render(); });
+            breadcrumb.appendChild(link);
+        });
+
+        container.innerHTML = '';
+        var children = (current.children || []).slice().sort(function (a, b) { return b.lines - a.lines; });
+        if (!children.length) return;
+        squarify(children.map(function (node) { return { node: node }; }), 0, 0, container.clientWidth, container.clientHeight)
+            .forEach(function (rect) {
+                var tile = document.createElement('div');
+                tile.className = 'tile tile-' + rect.node.threat.toLowerCase() + (rect.node.children ? ' zoomable' : '');
+                tile.style.left = rect.x + 'px';
+                tile.style.top = rect.y + 'px';
+                tile.style.width = rect.w + 'px';
+                tile.style.height = rect.h + 'px';
+                tile.title = (rect.node.path || rect.node.name) + ' — ' + rect.node.lines.toLocaleString() + ' lines, ' + rect.node.threat;
+                if (rect.w > 40 && rect.h > 18) {
+                    tile.innerHTML = '<div></div><div class="lines"></div>';
+                    tile.firstChild.textContent = rect.node.name + (rect.node.children ? '/' : '');
+                    tile.lastChild.textContent = rect.node.lines.toLocaleString() + ' lines';
+                }
+                if (rect.node.children) tile.addEventListener('click', function () { trail.push(rect.node); render(); });
+                container.appendChild(tile);
+            });
+    }
+
+    // Start inside single-child chains (e.g. everything under src/)
+    while (trail[trail.length - 1].children && trail[trail.length - 1].children.length === 1 && trail[trail.length - 1].children[0].children) {
+        trail.push(trail[trail.length - 1].children[0]);
+    }
+    render();
+    window.addEventListener('resize', render);
+})();
+`;
+
+/**
+ * @param {Object} umlData - generated UML
+ * @returns {string} standalone HTML document
+ */
+function exportHTML(umlData) {
+    const projectName = umlData.project?.name || 'project';
+    // Inline JSON must not be able to close the <script> element
+    const treeJson = JSON.stringify(buildPackageTree(umlData)).replace(/</g, '\\u003c');
+    const generated = umlData.generated ? new Date(umlData.generated).toUTCString() : 'unknown date';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(projectName)} — Cartogomancy Report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>🗺️ ${escapeHtml(projectName)}</h1>
+<div class="meta">Cartogomancy report · UML v${escapeHtml(umlData.version || '?')} · generated ${escapeHtml(generated)}</div>
+</header>
+<main>
+<nav><a href="#packages">Packages</a><a href="#complexity">Complexity</a><a href="#churn">Churn</a><a href="#unused-exports">Unused exports</a><a href="#redundancy">Redundancy</a><a href="#mad-tinker">Mad Tinker</a></nav>
+${summaryCards(umlData)}
+${section('packages', '📦 Packages by Lines of Code <span class="meta">click a package to zoom in</span>', '<div id="breadcrumb"></div>\n<div id="treemap"></div>')}
+${complexitySection(umlData)}
+${churnSection(umlData)}
+${unusedExportsSection(umlData)}
+${redundancySection(umlData)}
+${madTinkerSection(umlData)}
+</main>
+<script type="application/json" id="treemap-data">${treeJson}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    name: 'html',
+    extension: 'html',
+    description: 'HTML report',
+    export: exportHTML
+};
@@ -0,0 +1,29 @@
+/**
+ * 📤 Exporters - Alternate output formats for generated UML data
+ *
+ * Each exporter module exports { name, extension, description, export(umlData, options) }
+ * and returns the file contents as a string. Used by `--format <name>` during
+ * analysis and by `cartogomancy export <format> <file.json>`.
+ */
+
+const exporters = [
+    require('./plantuml'),
+    require('./mermaid'),
+    require('./dot'),
+    require('./graphml'),
+    require('./gexf'),
+    require('./html'),
+    require('./sarif')
+];
+
+const registry = new Map(exporters.map(exporter => [exporter.name, exporter]));
+
+function getExporter(format) {
+    return registry.get(format) || null;
+}
+
+function listFormats() {
+    return Array.from(registry.keys());
+}
+
+module.exports = { getExporter, listFormats };
@@ -0,0 +1,164 @@
+/**
+ * 🧜 Mermaid Exporter - Diagrams GitHub renders natively in READMEs and PRs
+ *
+ * Two diagram types (`diagram` option):
+ * - class (default): classDiagram with fields, methods and inheritance,
+ *   one namespace per package
+ * - flowchart: package dependency graph, edges labelled with how many
+ *   imports cross between the two packages
+ *
+ * Mermaid struggles past a few dozen nodes, so output is capped at
+ * DEFAULT_LIMIT nodes unless `limit` says otherwise.
+ */
+
+const { selectGraph, selectPackageGraph } = require('./selection');
+
+const DEFAULT_LIMIT = 50;
+// Members listed per class before the rest are summarized
+const MAX_MEMBERS = 20;
+const VISIBILITY_MARKERS = { public: '+', private: '-', protected: '#' };
+
+// Mermaid identifiers: letters, digits, underscores
+function safeId(text) {
+    return String(text).replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+function label(text) {
+    return String(text).replace(/"/g, '#quot;');
+}
+
+/**
+ * Member text must stay on one line and can't contain braces; generics use ~T~
+ */
+function memberText(text) {
+    return String(text)
+        .replace(/\s+/g, ' ')
+        .replace(/\{[^{}]*\}/g, 'object')
+        .replace(/[{}]/g, '')
+        .replace(/<([^<>]*)>/g, '~$1~')
+        .trim();
+}
+
+function visibilityMarker(member) {
+    if (member.name && member.name.startsWith('#')) return '-';
+    return VISIBILITY_MARKERS[member.visibility] || '+';
+}
+
+function formatParameters(parameters = []) {
+    return parameters.map(param => `${param.name}${param.optional ? '?' : ''}${param.type ? `: ${param.type}` : ''}`).join(', ');
+}
+
+function formatMethod(method) {
+    const returnType = method.returnType ? ` ${method.returnType}` : '';
+    return memberText(`${visibilityMarker(method)}${method.name}(${formatParameters(method.parameters)})${method.isStatic ? '$' : ''}${returnType}`);
+}
+
+function formatField(field) {
+    // Parentheses would turn the field into a method, so function types become Function
+    const type = field.type && field.type.includes('(') ? 'Function' : field.type;
+    return memberText(`${visibilityMarker(field)}${type ? `${type} ` : ''}${field.name}${field.isStatic ? '$' : ''}`);
+}
+
+function stereotype(cls) {
+    switch (cls.type) {
+        case 'interface': return 'interface';
+        case 'enum': return 'enumeration';
+        case 'type': return 'type';
+        case 'function': return cls.subtype === 'utility' ? 'function' : cls.subtype;
+        case 'module': return 'module';
+        default: return cls.subtype && cls.subtype !== 'utility' ? cls.subtype : null;
+    }
+}
+
+function renderClass(cls, indent) {
+    const members = [];
+    if (cls.type === 'enum') {
+        (cls.fields || []).forEach(field => members.push(memberText(field.name)));
+    } else if (cls.type === 'function') {
+        members.push(formatMethod({ name: cls.name, parameters: cls.parameters, returnType: cls.returnType }));
+    } else if (cls.type === 'type' && cls.aliasOf && (cls.fields || []).length === 0) {
+        members.push(memberText(cls.aliasOf));
+    } else {
+        (cls.fields || []).forEach(field => members.push(formatField(field)));
+        (cls.methods || []).forEach(method => members.push(formatMethod(method)));
+    }
+
+    const lines = [`${indent}class ${safeId(cls.id)}["${label(cls.name)}"] {`];
+    const kind = stereotype(cls);
+    if (kind) lines.push(`${indent}  <<${kind}>>`);
+    members.slice(0, MAX_MEMBERS).forEach(member => lines.push(`${indent}  ${member}`));
+    if (members.length > MAX_MEMBERS) {
+        lines.push(`${indent}  ${members.length - MAX_MEMBERS} more members`);
+    }
+    lines.push(`${indent}}`);
+    return lines;
+}
+
+function exportClassDiagram(umlData, options) {
+    const { classes, edges, omitted } = selectGraph(umlData, { ...options, limit: options.limit || DEFAULT_LIMIT });
+    const lines = ['classDiagram'];
+    if (omitted > 0) {
+        lines.push(`  %% ${omitted} less-connected classes omitted (raise --limit to include them)`);
+    }
+
+    const byPackage = new Map();
+    classes.forEach(cls => {
+        if (!byPackage.has(cls.package)) byPackage.set(cls.package, []);
+        byPackage.get(cls.package).push(cls);
+    });
+
+    Array.from(byPackage.keys()).sort().forEach(pkg => {
+        lines.push(`  namespace ${safeId(pkg === 'external' ? 'External Libraries' : pkg)} {`);
+        byPackage.get(pkg).forEach(cls => lines.push(...renderClass(cls, '    ')));
+        lines.push('  }');
+    });
+
+    edges.forEach(edge => {
+        if (edge.kind === 'extends') {
+            lines.push(`  ${safeId(edge.target)} <|-- ${safeId(edge.source)}`);
+        } else if (edge.kind === 'implements') {
+            lines.push(`  ${safeId(edge.target)} <|.. ${safeId(edge.source)}`);
+        }
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+function exportFlowchart(umlData, options) {
+    const { packages, edges, omitted } = selectPackageGraph(umlData, { ...options, limit: options.limit || DEFAULT_LIMIT });
+    const lines = ['flowchart LR'];
+    if (omitted > 0) {
+        lines.push(`  %% ${omitted} less-connected packages omitted (raise --limit to include them)`);
+    }
+
+    packages.forEach(pkg => {
+        lines.push(`  ${safeId(pkg.id)}["${label(pkg.path)}<br/>${pkg.classes.length} classes"]`);
+    });
+    edges.forEach(edge => {
+        lines.push(`  ${safeId(edge.source)} -->|${edge.count}| ${safeId(edge.target)}`);
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {Object} umlData - generated UML
+ * @param {Object} options - { diagram: 'class' | 'flowchart', package, focus, depth, limit }
+ * @returns {string} Mermaid source (without the ```mermaid fence)
+ */
+function exportMermaid(umlData, options = {}) {
+    const diagram = options.diagram || 'class';
+    if (diagram === 'class') return exportClassDiagram(umlData, options);
+    if (diagram === 'flowchart') {
+        if (options.focus) throw new Error('--focus applies to class diagrams only');
+        return exportFlowchart(umlData, options);
+    }
+    throw new Error(`Unknown Mermaid diagram "${diagram}" (use class or flowchart)`);
+}
+
+module.exports = {
+    name: 'mermaid',
+    extension: 'mmd',
+    description: 'Mermaid diagram',
+    export: exportMermaid
+};
@@ -0,0 +1,131 @@
+/**
+ * 🌱 PlantUML Exporter - 2D class diagrams for design docs
+ *
+ * Renders classes with fields and method signatures (visibility markers,
+ * {static}/{abstract} modifiers), `extends`/`implements` arrows and one
+ * `package` block per package path. Functions, type aliases and modules have
+ * no PlantUML keyword of their own, so they're drawn as stereotyped classes.
+ */
+
+const { selectGraph } = require('./selection');
+
+const VISIBILITY_MARKERS = { public: '+', private: '-', protected: '#' };
+
+function quote(text) {
+    return `"${String(text).replace(/"/g, '\'')}"`;
+}
+
+function visibilityMarker(member) {
+    // ES private names (`#cache`) are private whatever the modifiers say
+    if (member.name && member.name.startsWith('#')) return '-';
+    return VISIBILITY_MARKERS[member.visibility] || '+';
+}
+
+function formatParameters(parameters = []) {
+    return parameters
+        .map(param => `${param.name}${param.optional ? '?' : ''}${param.type ? `: ${param.type}` : ''}`)
+        .join(', ');
+}
+
+// Member text is single-line in PlantUML; collapse multi-line types
+function oneLine(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function formatField(field) {
+    const modifier = field.isStatic ? '{static} ' : '';
+    const value = field.value !== undefined && field.value !== null ? ` = ${field.value}` : '';
+    return oneLine(`${visibilityMarker(field)}${modifier}${field.name}${field.type ? ` : ${field.type}` : ''}${value}`);
+}
+
+function formatMethod(method) {
+    const modifier = method.isStatic ? '{static} ' : '';
+    const asyncPrefix = method.isAsync ? 'async ' : '';
+    const returnType = method.returnType ? ` : ${method.returnType}` : '';
+    return oneLine(`${visibilityMarker(method)}${modifier}${asyncPrefix}${method.name}(${formatParameters(method.parameters)})${returnType}`);
+}
+
+function declaration(cls) {
+    const name = quote(cls.name);
+    switch (cls.type) {
+        case 'class': return `class ${name} as ${cls.id}${cls.subtype && cls.subtype !== 'utility' ? ` <<${cls.subtype}>>` : ''}`;
+        case 'interface': return `interface ${name} as ${cls.id}`;
+        case 'enum': return `enum ${name} as ${cls.id}${cls.isConst ? ' <<const>>' : ''}`;
+        case 'type': return `class ${name} as ${cls.id} <<type>>`;
+        case 'function': return `class ${name} as ${cls.id} <<${cls.subtype === 'utility' ? 'function' : cls.subtype}>>`;
+        default: return `class ${name} as ${cls.id} <<${cls.type}>>`;
+    }
+}
+
+function renderClass(cls, indent) {
+    const lines = [];
+    const members = [];
+
+    if (cls.type === 'enum') {
+        (cls.fields || []).forEach(field => members.push(oneLine(field.value !== undefined ? `${field.name} = ${field.value}` : field.name)));
+    } else if (cls.type === 'function') {
+        members.push(formatMethod({ name: cls.name, parameters: cls.parameters, returnType: cls.returnType, isAsync: cls.isAsync }));
+    } else if (cls.type === 'type' && cls.aliasOf && (cls.fields || []).length === 0) {
+        // {field} keeps a leading quote (`'light' | 'dark'`) from reading as a comment
+        members.push(`{field} ${oneLine(cls.aliasOf)}`);
+    } else {
+        (cls.fields || []).forEach(field => members.push(formatField(field)));
+        (cls.methods || []).forEach(method => members.push(formatMethod(method)));
+    }
+
+    if (members.length === 0) {
+        lines.push(`${indent}${declaration(cls)}`);
+    } else {
+        lines.push(`${indent}${declaration(cls)} {`);
+        members.forEach(member => lines.push(`${indent}  ${member}`));
+        lines.push(`${indent}}`);
+    }
+    return lines;
+}
+
+/**
+ * @param {Object} umlData - generated UML
+ * @param {Object} options - selection options (package, focus, depth, limit)
+ * @returns {string} PlantUML source
+ */
+function exportPlantUML(umlData, options = {}) {
+    const { classes, edges, omitted } = selectGraph(umlData, options);
+    const lines = [`@startuml ${quote(umlData.project?.name || 'cartogomancy')}`];
+    lines.push('skinparam packageStyle folder');
+    lines.push('hide empty members');
+    if (omitted > 0) {
+        lines.push(`' ${omitted} less-connected classes omitted (--limit ${options.limit})`);
+    }
+    lines.push('');
+
+    const byPackage = new Map();
+    classes.forEach(cls => {
+        if (!byPackage.has(cls.package)) byPackage.set(cls.package, []);
+        byPackage.get(cls.package).push(cls);
+    });
+
+    Array.from(byPackage.keys()).sort().forEach(pkg => {
+        lines.push(`package ${quote(pkg === 'external' ? 'External Libraries' : pkg)} {`);
+        byPackage.get(pkg).forEach(cls => lines.push(...renderClass(cls, '  ')));
+        lines.push('}');
+        lines.push('');
+    });
+
+    edges.forEach(edge => {
+        if (edge.kind === 'extends') {
+            lines.push(`${edge.source} --|> ${edge.target}`);
+        } else if (edge.kind === 'implements') {
+            lines.push(`${edge.source} ..|> ${edge.target}`);
+        }
+    });
+
+    lines.push('@enduml');
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    name: 'plantuml',
+    extension: 'puml',
+    description: 'PlantUML class diagram',
+    export: exportPlantUML
+};
@@ -0,0 +1,188 @@
+/**
+ * 🚨 SARIF Exporter - Findings for code-scanning tools and SARIF viewers
+ *
+ * Emits a SARIF 2.1.0 log with one result per finding cartogomancy already
+ * computes:
+ * - classes at HIGH or CRITICAL threat level (messages are the
+ *   ComplexityAnalyzer suggestions)
+ * - exports nothing in the project imports
+ * - redundancy pairs at or above the analyzer's similarity threshold
+ *
+ * Rule IDs never change meaning, and each result carries a fingerprint built
+ * from stable IDs so viewers can track a finding across runs and file moves.
+ */
+
+const crypto = require('crypto');
+const { version } = require('../../package.json');
+
+// Similarity above which a pair is treated as a duplicate rather than a hint
+const DUPLICATE_SCORE = 0.9;
+
+const RULES = [
+    {
+        id: 'CARTO001',
+        name: 'CriticalComplexity',
+        shortDescription: { text: 'Critical complexity' },
+        fullDescription: { text: 'Complexity at the CRITICAL threat level (by default: cyclomatic above 20 or cognitive above 15).' },
+        defaultConfiguration: { level: 'error' }
+    },
+    {
+        id: 'CARTO002',
+        name: 'HighComplexity',
+        shortDescription: { text: 'High complexity' },
+        fullDescription: { text: 'Complexity at the HIGH threat level (by default: cyclomatic 11-20 or cognitive 11-15).' },
+        defaultConfiguration: { level: 'warning' }
+    },
+    {
+        id: 'CARTO003',
+        name: 'UnusedExport',
+        shortDescription: { text: 'Unused export' },
+        fullDescription: { text: 'The export is not imported by any file in the analyzed project.' },
+        defaultConfiguration: { level: 'warning' }
+    },
+    {
+        id: 'CARTO004',
+        name: 'RedundantClass',
+        shortDescription: { text: 'Redundant class' },
+        fullDescription: { text: 'Two classes share most of their methods, fields and dependencies.' },
+        defaultConfiguration: { level: 'note' }
+    }
+];
+
+const RULE_INDEX = new Map(RULES.map((rule, index) => [rule.id, index]));
+const COMPLEXITY_RULES = { CRITICAL: 'CARTO001', HIGH: 'CARTO002' };
+
+function fingerprint(...parts) {
+    return crypto.createHash('sha1').update(parts.join('\0')).digest('hex').substring(0, 16);
+}
+
+function location(filePath, startLine, endLine) {
+    const physicalLocation = { artifactLocation: { uri: filePath, uriBaseId: '%SRCROOT%' } };
+    if (startLine) {
+        physicalLocation.region = { startLine };
+        if (endLine && endLine >= startLine) physicalLocation.region.endLine = endLine;
+    }
+    return { physicalLocation };
+}
+
+function result(ruleId, level, text, locations, identity, properties) {
+    return {
+        ruleId,
+        ruleIndex: RULE_INDEX.get(ruleId),
+        level,
+        message: { text },
+        locations,
+        partialFingerprints: { 'cartogomancy/v1': fingerprint(ruleId, ...identity) },
+        properties
+    };
+}
+
+function complexityResults(classes) {
+    return classes
+        .filter(cls => COMPLEXITY_RULES[cls.complexityMetrics?.threatLevel])
+        .map(cls => {
+            const metrics = cls.complexityMetrics;
+            const ruleId = COMPLEXITY_RULES[metrics.threatLevel];
+            const suggestions = (metrics.suggestions || []).map(s => `${s}.`).join(' ');
+            return result(
+                ruleId,
+                RULES[RULE_INDEX.get(ruleId)].defaultConfiguration.level,
+                `${cls.name} is at ${metrics.threatLevel} complexity (cyclomatic ${metrics.cyclomaticComplexity}, cognitive ${metrics.cognitiveComplexity}, nesting ${metrics.nestingDepth}). ${suggestions}`.trim(),
+                [location(cls.filePath, cls.location?.startLine, cls.location?.endLine)],
+                [cls.id],
+                {
+                    classId: cls.id,
+                    cyclomaticComplexity: metrics.cyclomaticComplexity,
+                    cognitiveComplexity: metrics.cognitiveComplexity,
+                    nestingDepth: metrics.nestingDepth,
+                    linesOfCode: metrics.linesOfCode
+                }
+            );
+        });
+}
+
+function unusedExportResults(unusedExports) {
+    return unusedExports.map(e => result(
+        'CARTO003',
+        'warning',
+        `Export '${e.exportName}' is never imported within the project.`,
+        [location(e.file, e.line)],
+        [e.file, e.exportName],
+        { exportType: e.exportType }
+    ));
+}
+
+function redundancyResults(redundancyAnalysis, classById) {
+    const pairKey = names => [...names].sort().join('|');
+    const recommendations = new Map((redundancyAnalysis.suggestions || [])
+        .map(s => [pairKey(s.classes), s.recommendations]));
+    const threshold = redundancyAnalysis.similarityThreshold || 0;
+
+    return (redundancyAnalysis.topSimilarPairs || [])
+        .filter(pair => pair.similarityScore >= threshold)
+        .map(pair => {
+            const first = classById.get(pair.class1Id);
+            const second = classById.get(pair.class2Id);
+            if (!first || !second) return null;
+
+            const percent = Math.round(pair.similarityScore * 100);
+            const advice = recommendations.get(pairKey([pair.class1Name, pair.class2Name])) || [];
+            const related = location(second.filePath, second.location?.startLine, second.location?.endLine);
+            related.id = 1;
+            related.message = { text: second.name };
+
+            return {
+                ...result(
+                    'CARTO004',
+                    pair.similarityScore > DUPLICATE_SCORE ? 'warning' : 'note',
+                    `${first.name} is ${percent}% similar to [${second.name}](1). ${advice.map(a => `${a}.`).join(' ')}`.trim(),
+                    [location(first.filePath, first.location?.startLine, first.location?.endLine)],
+                    [pair.class1Id, pair.class2Id].sort(),
+                    { similarityScore: pair.similarityScore, matchedMethods: pair.matchedMethods || [] }
+                ),
+                relatedLocations: [related]
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * @param {Object} umlData - generated UML
+ * @returns {string} SARIF 2.1.0 log as JSON
+ */
+function exportSARIF(umlData) {
+    const classes = (umlData.classes || []).filter(cls => !cls.isExternal);
+    const classById = new Map(classes.map(cls => [cls.id, cls]));
+
+    const results = [
+        ...complexityResults(classes),
+        ...unusedExportResults(umlData.importAnalysis?.unusedExports || []),
+        ...(umlData.redundancyAnalysis ? redundancyResults(umlData.redundancyAnalysis, classById) : [])
+    ];
+
+    const log = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'cartogomancy',
+                    version,
+                    informationUri: 'https://github.com/MadnessEngineering/cartogomancy',
+                    rules: RULES
+                }
+            },
+            automationDetails: { id: `cartogomancy/${umlData.project?.name || 'project'}/` },
+            results
+        }]
+    };
+
+    return `${JSON.stringify(log, null, 2)}\n`;
+}
+
+module.exports = {
+    name: 'sarif',
+    extension: 'sarif',
+    description: 'SARIF report',
+    export: exportSARIF
+};
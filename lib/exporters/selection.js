@@ -0,0 +1,181 @@
+/**
+ * 🎯 Selection - Pick the slice of a UML snapshot an exporter should draw
+ *
+ * Large repos produce diagrams nobody can read, so every exporter accepts:
+ * - package: only classes in that package path (and its sub-packages)
+ * - focus + depth: only classes within N edge hops of one class (by name or ID)
+ * - limit: at most N project classes, keeping the best-connected ones
+ *
+ * External stubs are pulled in when an included class extends/implements them.
+ */
+
+/**
+ * Find a class by ID or unique name. Throws with the candidates when ambiguous.
+ */
+function findClass(classes, ref) {
+    const byId = classes.find(cls => cls.id === ref);
+    if (byId) return byId;
+
+    const byName = classes.filter(cls => cls.name === ref);
+    if (byName.length === 1) return byName[0];
+    if (byName.length > 1) {
+        const candidates = byName.map(cls => `${cls.id} (${cls.filePath})`).join(', ');
+        throw new Error(`"${ref}" is ambiguous, use one of: ${candidates}`);
+    }
+    throw new Error(`No class named "${ref}"`);
+}
+
+function inPackage(cls, pkg) {
+    return cls.package === pkg || cls.package.startsWith(`${pkg}/`);
+}
+
+/**
+ * @param {Object} umlData - generated UML
+ * @param {Object} options - { package, focus, depth }
+ * @returns {{ classes: Array, edges: Array }} included classes (input order)
+ *   and the edges whose endpoints are both included
+ */
+function selectGraph(umlData, options = {}) {
+    const allClasses = umlData.classes || [];
+    const allEdges = umlData.edges || [];
+    const classById = new Map(allClasses.map(cls => [cls.id, cls]));
+
+    let candidates = allClasses.filter(cls => !cls.isExternal);
+    if (options.package) {
+        candidates = candidates.filter(cls => inPackage(cls, options.package));
+        if (candidates.length === 0) {
+            throw new Error(`No classes in package "${options.package}"`);
+        }
+    }
+    let included = new Set(candidates.map(cls => cls.id));
+    let focus = null;
+
+    if (options.focus) {
+        focus = findClass(allClasses.filter(cls => included.has(cls.id)), options.focus);
+        const depth = options.depth === undefined ? 1 : Math.max(0, options.depth);
+
+        const neighbours = new Map();
+        allEdges.forEach(edge => {
+            if (!included.has(edge.source) || !included.has(edge.target)) return;
+            if (!neighbours.has(edge.source)) neighbours.set(edge.source, new Set());
+            if (!neighbours.has(edge.target)) neighbours.set(edge.target, new Set());
+            neighbours.get(edge.source).add(edge.target);
+            neighbours.get(edge.target).add(edge.source);
+        });
+
+        const reached = new Set([focus.id]);
+        let frontier = [focus.id];
+        for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+            const next = [];
+            frontier.forEach(id => (neighbours.get(id) || []).forEach(neighbour => {
+                if (!reached.has(neighbour)) {
+                    reached.add(neighbour);
+                    next.push(neighbour);
+                }
+            }));
+            frontier = next;
+        }
+        included = reached;
+    }
+
+    // Over the limit: keep the focus, then the classes with the most edges
+    let omitted = 0;
+    if (options.limit && included.size > options.limit) {
+        const degree = new Map();
+        allEdges.forEach(edge => {
+            if (!included.has(edge.source) || !included.has(edge.target)) return;
+            degree.set(edge.source, (degree.get(edge.source) || 0) + 1);
+            degree.set(edge.target, (degree.get(edge.target) || 0) + 1);
+        });
+        const ranked = allClasses
+            .filter(cls => included.has(cls.id))
+            .map((cls, index) => ({ cls, index }))
+            .sort((a, b) =>
+                (b.cls === focus) - (a.cls === focus) ||
+                (degree.get(b.cls.id) || 0) - (degree.get(a.cls.id) || 0) ||
+                (b.cls.complexity || 0) - (a.cls.complexity || 0) ||
+                a.index - b.index);
+        omitted = included.size - options.limit;
+        included = new Set(ranked.slice(0, options.limit).map(entry => entry.cls.id));
+    }
+
+    // Inheritance targets outside the project still belong in the picture
+    allEdges.forEach(edge => {
+        if ((edge.kind === 'extends' || edge.kind === 'implements') && included.has(edge.source)) {
+            const target = classById.get(edge.target);
+            if (target && target.isExternal) included.add(target.id);
+        }
+    });
+
+    return {
+        classes: allClasses.filter(cls => included.has(cls.id)),
+        edges: allEdges.filter(edge => included.has(edge.source) && included.has(edge.target)),
+        omitted
+    };
+}
+
+/**
+ * Package-level dependency graph: one node per package, one edge per
+ * package pair that has import edges between their classes or files.
+ *
+ * @param {Object} umlData - generated UML
+ * @param {Object} options - { package, limit }
+ * @returns {{ packages: Array, edges: Array<{ source, target, count, kinds }>, omitted: number }}
+ *   edges reference package IDs; `count` is the number of entity-level edges folded in
+ */
+function selectPackageGraph(umlData, options = {}) {
+    const packageByPath = new Map((umlData.packages || []).map(pkg => [pkg.path, pkg]));
+    const packageOf = new Map();
+    (umlData.classes || []).forEach(cls => packageOf.set(cls.id, cls.package));
+    (umlData.files || []).forEach(file => packageOf.set(file.id, file.package));
+
+    let packages = (umlData.packages || []).filter(pkg => pkg.path !== 'external');
+    if (options.package) {
+        packages = packages.filter(pkg => inPackage({ package: pkg.path }, options.package));
+        if (packages.length === 0) {
+            throw new Error(`No packages matching "${options.package}"`);
+        }
+    }
+    let included = new Set(packages.map(pkg => pkg.path));
+
+    const folded = new Map();
+    (umlData.edges || []).forEach(edge => {
+        if (edge.kind === 'extends' || edge.kind === 'implements') return;
+        const source = packageOf.get(edge.source);
+        const target = packageOf.get(edge.target);
+        if (!source || !target || source === target || !included.has(source) || !included.has(target)) return;
+
+        const key = `${source}|${target}`;
+        if (!folded.has(key)) folded.set(key, { source, target, count: 0, kinds: [] });
+        const entry = folded.get(key);
+        entry.count++;
+        if (!entry.kinds.includes(edge.kind)) entry.kinds.push(edge.kind);
+    });
+
+    let omitted = 0;
+    if (options.limit && included.size > options.limit) {
+        const weight = new Map();
+        folded.forEach(entry => {
+            weight.set(entry.source, (weight.get(entry.source) || 0) + entry.count);
+            weight.set(entry.target, (weight.get(entry.target) || 0) + entry.count);
+        });
+        const ranked = packages
+            .map((pkg, index) => ({ pkg, index }))
+            .sort((a, b) =>
+                (weight.get(b.pkg.path) || 0) - (weight.get(a.pkg.path) || 0) ||
+                b.pkg.classes.length - a.pkg.classes.length ||
+                a.index - b.index);
+        omitted = included.size - options.limit;
+        included = new Set(ranked.slice(0, options.limit).map(entry => entry.pkg.path));
+    }
+
+    return {
+        packages: packages.filter(pkg => included.has(pkg.path)),
+        edges: Array.from(folded.values())
+            .filter(entry => included.has(entry.source) && included.has(entry.target))
+            .map(entry => ({ ...entry, source: packageByPath.get(entry.source).id, target: packageByPath.get(entry.target).id })),
+        omitted
+    };
+}
+
+module.exports = { selectGraph, selectPackageGraph };
@@ -0,0 +1,37 @@
+const chalk = require('chalk');
+const Table = require('cli-table3');
+const QualityGates = require('./aggregators/quality-gates');
+
+class GateManager {
+    /**
+     * Evaluate the configured gates, print a pass/fail table and return true when all pass.
+     * Returns true without printing when no gate is set.
+     */
+    check(umlData, gates) {
+        const { passed, results } = QualityGates.evaluate(umlData, gates || {});
+        if (results.length === 0) return true;
+
+        console.log(chalk.bold.white('\n🚦 Quality gates'));
+        const table = new Table({
+            head: ['Gate', 'Actual', 'Limit', 'Result'].map(h => chalk.cyan(h)),
+            style: { head: [], border: ['gray'] }
+        });
+        results.forEach(result => table.push([
+            result.label,
+            result.actual === null ? chalk.gray(result.reason) : result.actual.toString(),
+            `${result.bound === 'max' ? '≤' : '≥'} ${result.limit}`,
+            result.passed ? chalk.green('✅ pass') : chalk.red('❌ fail')
+        ]));
+        console.log(table.toString());
+
+        const failed = results.filter(result => !result.passed).length;
+        if (passed) {
+            console.log(chalk.green(`\n✅ All ${results.length} quality gate${results.length === 1 ? '' : 's'} passed\n`));
+        } else {
+            console.log(chalk.red(`\n❌ ${failed} of ${results.length} quality gate${results.length === 1 ? '' : 's'} failed\n`));
+        }
+        return passed;
+    }
+}
+
+module.exports = new GateManager();
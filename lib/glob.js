@@ -0,0 +1,182 @@
+/**
+ * 🌐 Glob - .gitignore-style path patterns
+ *
+ * One syntax for include/exclude settings and ignore files:
+ * - `*` and `?` match within a path segment, `**` across segments,
+ *   `[abc]` / `[!abc]` a character class, `{a,b}` either alternative
+ * - a leading `!` negates: the last matching pattern in a list wins
+ * - a trailing `/` matches directories only
+ * - a pattern with a `/` (other than a trailing one) is relative to its
+ *   base directory; without one it matches a name at any depth, unless the
+ *   caller anchors it (include patterns are always relative to the root)
+ *
+ * Paths are project-relative and use `/` on every platform.
+ */
+
+const path = require('path');
+
+const REGEX_SPECIALS = /[.+^$()|\\]/;
+
+function toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Translate glob syntax (no `!`, no trailing `/`) into a RegExp body
+ */
+function globToRegExpSource(glob) {
+    let source = '';
+    let braceDepth = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '\\' && i + 1 < glob.length) {
+            source += `\\${glob[++i]}`;
+        } else if (char === '*' && glob[i + 1] === '*') {
+            const atStart = i === 0 || glob[i - 1] === '/';
+            const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+            i++;
+            if (atStart && glob[i + 1] === '/') {
+                // `**/` — zero or more directories
+                source += '(?:.*/)?';
+                i++;
+            } else if (atStart && atEnd) {
+                // trailing `/**` — everything below
+                source += '.*';
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const close = glob.indexOf(']', i + 2);
+            if (close === -1) {
+                source += '\\[';
+            } else {
+                let set = glob.substring(i + 1, close).replace(/\\/g, '\\\\');
+                if (set[0] === '!') set = `^${set.substring(1)}`;
+                source += `[${set}]`;
+                i = close;
+            }
+        } else if (char === '{') {
+            braceDepth++;
+            source += '(?:';
+        } else if (char === '}' && braceDepth > 0) {
+            braceDepth--;
+            source += ')';
+        } else if (char === ',' && braceDepth > 0) {
+            source += '|';
+        } else {
+            source += REGEX_SPECIALS.test(char) ? `\\${char}` : char;
+        }
+    }
+
+    return source;
+}
+
+/**
+ * Compile one pattern into a rule. Returns null for blank lines and comments.
+ *
+ * @param {string} pattern
+ * @param {Object} [options] - { base: directory the pattern is relative to
+ *   ('' for the project root), anchored: treat slash-less patterns as
+ *   relative to `base` too }
+ */
+function compilePattern(pattern, options = {}) {
+    let text = pattern.replace(/(?<!\\)\s+$/, '');
+    if (!text || text.startsWith('#')) return null;
+
+    const negated = text.startsWith('!');
+    if (negated) text = text.substring(1);
+    if (text.startsWith('\\!') || text.startsWith('\\#')) text = text.substring(1);
+
+    const directoryOnly = text.endsWith('/');
+    if (directoryOnly) text = text.replace(/\/+$/, '');
+    if (!text) return null;
+
+    const anchored = options.anchored || text.includes('/');
+    text = text.replace(/^\/+/, '');
+
+    const body = globToRegExpSource(text);
+    return {
+        pattern,
+        negated,
+        directoryOnly,
+        base: options.base ? toPosix(options.base) : '',
+        regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${body}$`)
+    };
+}
+
+function compilePatterns(patterns, options = {}) {
+    return patterns.map(pattern => compilePattern(pattern, options)).filter(Boolean);
+}
+
+/**
+ * Whether one rule's pattern matches a path, ignoring negation
+ */
+function ruleMatches(rule, relativePath, isDirectory) {
+    if (rule.directoryOnly && !isDirectory) return false;
+
+    let target = relativePath;
+    if (rule.base) {
+        if (!relativePath.startsWith(`${rule.base}/`)) return false;
+        target = relativePath.substring(rule.base.length + 1);
+    }
+    return rule.regex.test(target);
+}
+
+/**
+ * Apply `rules` to one path (not its parents): true/false from the last rule
+ * that matches, or `fallback` when none does.
+ */
+function matchRules(rules, relativePath, isDirectory, fallback = false) {
+    let result = fallback;
+    rules.forEach(rule => {
+        if (ruleMatches(rule, relativePath, isDirectory)) result = !rule.negated;
+    });
+    return result;
+}
+
+/**
+ * The directory part of a pattern before its first wildcard: where matches
+ * can start. '' when the pattern can match anywhere.
+ */
+function literalBase(pattern) {
+    const segments = pattern.replace(/^\/+/, '').split('/');
+    const literal = [];
+    for (const segment of segments.slice(0, -1)) {
+        if (/[*?[{\\]/.test(segment)) break;
+        literal.push(segment);
+    }
+    // A slash-less, wildcard-free pattern names a directory itself
+    if (segments.length === 1 && !/[*?[{\\]/.test(segments[0])) return segments[0];
+    return literal.join('/');
+}
+
+/**
+ * Split a comma-separated pattern list, keeping commas inside `{a,b}`
+ */
+function splitPatternList(value) {
+    const patterns = [];
+    let current = '';
+    let depth = 0;
+
+    for (const char of value) {
+        if (char === '{') depth++;
+        if (char === '}' && depth > 0) depth--;
+        if (char === ',' && depth === 0) {
+            patterns.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    patterns.push(current);
+
+    return patterns.map(pattern => pattern.trim()).filter(Boolean);
+}
+
+module.exports = { toPosix, compilePatterns, ruleMatches, matchRules, literalBase, splitPatternList };
@@ -0,0 +1,45 @@
+/**
+ * 📚 Cartogomancy - Programmatic API
+ *
+ * The package entry point. Nothing here reads process.argv or prints unless
+ * asked to; the CLI (cartogomancy.js) and the TUI are built on the same calls.
+ *
+ *   const { analyze, loadConfig, getExporter } = require('@madnessengineering/cartogomancy');
+ *   const { config } = loadConfig('.');
+ *   const uml = await analyze('.', { ...config, onProgress: p => bar.update(p.completed / p.total) });
+ *   const html = getExporter('html').export(uml);
+ *
+ * AnalysisSession keeps the analyzers alive for incremental updates:
+ *
+ *   const session = new AnalysisSession('.', config);
+ *   await session.run();
+ *   const { umlData, delta } = await session.update(['src/changed.ts']);
+ */
+
+const { analyze, analyzeFile, findSourceFiles, AnalysisSession } = require('./analyze');
+const { DEFAULT_CONFIG, loadConfig, saveConfig, mergeConfig } = require('./config');
+const { discoverWorkspaces } = require('./workspaces');
+const { findEntryPoints } = require('./entry-points');
+const { getExporter, listFormats } = require('./exporters');
+const { validateUML, validateConfig } = require('./schema');
+const UMLDiff = require('./aggregators/uml-diff');
+const QualityGates = require('./aggregators/quality-gates');
+
+module.exports = {
+    analyze,
+    AnalysisSession,
+    analyzeFile,
+    findSourceFiles,
+    discoverWorkspaces,
+    findEntryPoints,
+    DEFAULT_CONFIG,
+    loadConfig,
+    saveConfig,
+    mergeConfig,
+    getExporter,
+    listFormats,
+    validateUML,
+    validateConfig,
+    compareUML: (oldUml, newUml) => UMLDiff.compare(oldUml, newUml),
+    evaluateGates: (umlData, gates) => QualityGates.evaluate(umlData, gates)
+};
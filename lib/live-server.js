@@ -0,0 +1,192 @@
+/**
+ * 📡 Live Server - Serve an AnalysisSession's UML over HTTP
+ *
+ * Endpoints (JSON unless noted; CORS is open so a viewer on another port can
+ * subscribe):
+ *   GET /              endpoint list and the current sequence
+ *   GET /uml           the full, latest UML document
+ *   GET /classes/:id   one class; IDs from `idRenames` redirect to the new ID
+ *   GET /events        Server-Sent Events change feed, one `delta` event per
+ *                      update with `<run>:<sequence>` as the event ID
+ *
+ * Resuming: a client reconnecting with `Last-Event-ID` (EventSource does this
+ * itself) or `?since=<run>:<sequence>` first receives every delta it missed.
+ * When those are older than the kept history, or the ID comes from another
+ * server run (sequences restart at 1 on every run), it gets a `reset` event
+ * instead and should refetch /uml.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const DEFAULT_PORT = 7070;
+const DEFAULT_HOST = '127.0.0.1';
+// Deltas kept for clients resuming after a disconnect
+const DEFAULT_HISTORY = 100;
+// Proxies drop idle connections; an SSE comment keeps the feed open
+const KEEPALIVE_MS = 15000;
+
+class LiveServer {
+    /**
+     * @param {AnalysisSession} session - a session that has completed run()
+     * @param {Object} [options] - { port, host, historySize, logger }
+     */
+    constructor(session, options = {}) {
+        this.session = session;
+        this.port = options.port ?? DEFAULT_PORT;
+        this.host = options.host || DEFAULT_HOST;
+        this.historySize = options.historySize || DEFAULT_HISTORY;
+        this.logger = options.logger || console;
+        this.history = [];
+        this.clients = new Set();
+        this.documentCache = null;
+        // Tells this run's event IDs from a previous server's
+        this.runId = crypto.randomBytes(4).toString('hex');
+    }
+
+    /**
+     * Listen; resolves to the server's base URL
+     */
+    start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.keepalive = setInterval(() => {
+            this.clients.forEach(res => res.write(': keepalive\n\n'));
+        }, KEEPALIVE_MS);
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                const { port } = this.server.address();
+                resolve(`http://${this.host}:${port}`);
+            });
+        });
+    }
+
+    /**
+     * Record a delta from session.update() and push it to every subscriber
+     */
+    publish(delta) {
+        this.history.push(delta);
+        if (this.history.length > this.historySize) this.history.shift();
+        this.clients.forEach(res => this.sendEvent(res, 'delta', delta.sequence, delta));
+    }
+
+    /**
+     * Headers every response carries: the run ID and the current sequence
+     */
+    stateHeaders() {
+        return { 'X-Cartogomancy-Run': this.runId, 'X-Cartogomancy-Sequence': String(this.session.sequence) };
+    }
+
+    handle(req, res) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Last-Event-ID');
+        res.setHeader('Access-Control-Expose-Headers', 'X-Cartogomancy-Run, X-Cartogomancy-Sequence');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+        if (req.method !== 'GET') {
+            return this.sendJSON(res, 405, { error: `${req.method} not allowed` });
+        }
+
+        const url = new URL(req.url, `http://${req.headers.host || this.host}`);
+        const classMatch = url.pathname.match(/^\/classes\/([^/]+)$/);
+
+        if (url.pathname === '/') return this.sendIndex(res);
+        if (url.pathname === '/uml') return this.sendDocument(res);
+        if (classMatch) return this.sendClass(res, decodeURIComponent(classMatch[1]));
+        if (url.pathname === '/events') return this.streamEvents(req, res, url);
+
+        this.sendJSON(res, 404, { error: `No route for ${url.pathname}` });
+    }
+
+    sendJSON(res, status, body) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            ...this.stateHeaders()
+        });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    }
+
+    sendIndex(res) {
+        this.sendJSON(res, 200, {
+            project: this.session.umlData.project,
+            run: this.runId,
+            sequence: this.session.sequence,
+            endpoints: {
+                document: '/uml',
+                class: '/classes/:id',
+                events: '/events?since=<run>:<sequence>'
+            }
+        });
+    }
+
+    sendDocument(res) {
+        // Serialized once per sequence; documents for large projects run to megabytes
+        if (!this.documentCache || this.documentCache.sequence !== this.session.sequence) {
+            this.documentCache = { sequence: this.session.sequence, body: JSON.stringify(this.session.umlData) };
+        }
+        this.sendJSON(res, 200, this.documentCache.body);
+    }
+
+    sendClass(res, id) {
+        const { classes, idRenames = {} } = this.session.umlData;
+        const cls = classes.find(c => c.id === id);
+        if (cls) return this.sendJSON(res, 200, cls);
+
+        if (idRenames[id]) {
+            res.writeHead(301, { Location: `/classes/${encodeURIComponent(idRenames[id])}` });
+            return res.end();
+        }
+        this.sendJSON(res, 404, { error: `No class with ID ${id}` });
+    }
+
+    sendEvent(res, event, sequence, data) {
+        res.write(`event: ${event}\nid: ${this.runId}:${sequence}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    streamEvents(req, res, url) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            ...this.stateHeaders()
+        });
+
+        const sequence = this.session.sequence;
+        const resumeFrom = req.headers['last-event-id'] ?? url.searchParams.get('since');
+        // `<run>:<sequence>`; a bare sequence is taken to be from this run
+        const [run, since] = resumeFrom === null || resumeFrom === undefined ? [this.runId, NaN]
+            : resumeFrom.includes(':') ? [resumeFrom.split(':')[0], parseInt(resumeFrom.split(':')[1], 10)]
+            : [this.runId, parseInt(resumeFrom, 10)];
+
+        if (run !== this.runId || since > sequence) {
+            this.sendEvent(res, 'reset', sequence, { sequence, reason: `${resumeFrom} is from another server run; refetch /uml` });
+        } else if (Number.isNaN(since) || since === sequence) {
+            this.sendEvent(res, 'ready', sequence, { sequence });
+        } else if (this.history.length > 0 && this.history[0].sequence <= since + 1) {
+            this.history
+                .filter(delta => delta.sequence > since)
+                .forEach(delta => this.sendEvent(res, 'delta', delta.sequence, delta));
+        } else {
+            this.sendEvent(res, 'reset', sequence, { sequence, reason: `deltas after ${since} are no longer kept; refetch /uml` });
+        }
+
+        this.clients.add(res);
+        req.on('close', () => this.clients.delete(res));
+    }
+
+    close() {
+        clearInterval(this.keepalive);
+        this.clients.forEach(res => res.end());
+        this.clients.clear();
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+}
+
+LiveServer.DEFAULT_PORT = DEFAULT_PORT;
+
+module.exports = LiveServer;
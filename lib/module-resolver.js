@@ -0,0 +1,353 @@
+/**
+ * 🧭 Module Resolver - Non-relative imports that point into the project
+ *
+ * Relative specifiers are ImportAnalyzer.resolveImportPath's job. Everything
+ * else is tried, in order, against:
+ *   1. package.json `imports` (`#utils`, `#lib/*`) of the nearest package.json
+ *   2. tsconfig/jsconfig `paths` (`@/components/*`), following `extends`
+ *   3. monorepo workspaces by name (see lib/workspaces.js)
+ *   4. the package's own name through its `exports` (self-reference)
+ *   5. tsconfig/jsconfig `baseUrl` (`components/Button`)
+ * The nearest tsconfig.json/jsconfig.json and package.json above the
+ * importing file apply, so each workspace can have its own. A specifier
+ * that none of these resolve is an external module.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SOURCE_EXTENSIONS } = require('./source-files');
+
+const TS_CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+function isFile(filePath) {
+    try {
+        return fs.statSync(filePath).isFile();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Parse JSON with comments and trailing commas, as tsconfig files allow
+ */
+function parseJSONC(text) {
+    let output = '';
+    let inString = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            output += char;
+            if (char === '\\') output += text[++i] || '';
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+            output += char;
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++;
+            output += '\n';
+        } else if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 1;
+        } else if (char === ',' && /^\s*[}\]]/.test(text.substring(i + 1).replace(/^\s*\/\*[\s\S]*?\*\//, ''))) {
+            // Trailing comma
+        } else {
+            output += char;
+        }
+    }
+
+    return JSON.parse(output);
+}
+
+/**
+ * Every target string a package.json `exports`/`imports` value can map to,
+ * in condition order (`{ "types": …, "import": …, "default": … }`), so the
+ * first one that is an analyzed file wins
+ */
+function flattenTargets(value) {
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value)) return value.flatMap(flattenTargets);
+    if (value && typeof value === 'object') return Object.values(value).flatMap(flattenTargets);
+    return [];
+}
+
+/**
+ * Match `request` (`.`, `./feature`, `#utils/x`) against an exports/imports
+ * map with Node's rules: an exact key wins, then the `*` pattern with the
+ * longest prefix. Returns the package-relative targets, `*` substituted.
+ */
+function mapSubpath(map, request) {
+    if (!map || typeof map !== 'object' || Array.isArray(map)) return [];
+    if (Object.prototype.hasOwnProperty.call(map, request)) return flattenTargets(map[request]);
+
+    let best = null;
+    Object.keys(map).forEach(key => {
+        const star = key.indexOf('*');
+        if (star === -1) return;
+        const prefix = key.substring(0, star);
+        const suffix = key.substring(star + 1);
+        if (request.startsWith(prefix) && request.endsWith(suffix) && request.length >= key.length - 1 &&
+            (!best || prefix.length > best.prefix.length)) {
+            best = { key, prefix, match: request.substring(prefix.length, request.length - suffix.length) };
+        }
+    });
+    return best ? flattenTargets(map[best.key]).map(target => target.split('*').join(best.match)) : [];
+}
+
+/**
+ * A package.json `exports` value as a subpath map: sugar for the main entry
+ * (a string, an array or bare conditions) becomes `{ ".": … }`
+ */
+function normalizeExports(exportsField) {
+    const isSubpathMap = exportsField && typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+        Object.keys(exportsField).some(key => key.startsWith('.'));
+    return isSubpathMap ? exportsField : { '.': exportsField };
+}
+
+/**
+ * Targets `exports` gives for `subpath` ('' for the package itself)
+ */
+function exportTargets(exportsField, subpath) {
+    if (exportsField === undefined || exportsField === null) return [];
+    return mapSubpath(normalizeExports(exportsField), subpath ? `./${subpath}` : '.');
+}
+
+/**
+ * First of `basePath`, `basePath` + a source extension or
+ * `basePath/index` + one that `accept` takes
+ */
+function probe(basePath, accept = isFile) {
+    const candidates = [
+        basePath,
+        ...SOURCE_EXTENSIONS.map(ext => basePath + ext),
+        ...SOURCE_EXTENSIONS.map(ext => path.join(basePath, `index${ext}`))
+    ];
+    return candidates.find(candidate => accept(candidate)) || null;
+}
+
+class ModuleResolver {
+    /**
+     * @param {string} projectRoot
+     * @param {Object} [options] - { workspaces: WorkspaceResolver }
+     */
+    constructor(projectRoot, options = {}) {
+        this.projectRoot = projectRoot;
+        this.workspaces = options.workspaces || null;
+        // Directory → nearest effective compiler options / package.json (null: none)
+        this.tsConfigsByDir = new Map();
+        this.packagesByDir = new Map();
+        // Config file → its effective compiler options, extends applied
+        this.tsConfigFiles = new Map();
+    }
+
+    /**
+     * Whether a file name can change how imports resolve
+     */
+    static isConfigFile(fileName) {
+        return /^[jt]sconfig(\..+)?\.json$/.test(fileName);
+    }
+
+    /**
+     * Walk up from `dir` to the project root; the first `find(dir)` that
+     * isn't null is cached for every directory on the way
+     */
+    nearest(cache, dir, find) {
+        const visited = [];
+        let current = dir;
+        let found = null;
+
+        while (true) {
+            if (cache.has(current)) {
+                found = cache.get(current);
+                break;
+            }
+            visited.push(current);
+            found = find(current);
+            if (found) break;
+
+            const parent = path.dirname(current);
+            if (current === this.projectRoot || parent === current || !current.startsWith(this.projectRoot)) break;
+            current = parent;
+        }
+
+        visited.forEach(visitedDir => cache.set(visitedDir, found));
+        return found;
+    }
+
+    /**
+     * Resolve an `extends` entry to a config file path
+     */
+    resolveExtends(configDir, target) {
+        if (target.startsWith('.') || path.isAbsolute(target)) {
+            const resolved = path.resolve(configDir, target);
+            return isFile(resolved) ? resolved : `${resolved}.json`;
+        }
+        // A shared config package, e.g. @tsconfig/node18/tsconfig.json
+        for (const request of [target, `${target}/tsconfig.json`, `${target}.json`]) {
+            try {
+                return require.resolve(request, { paths: [configDir] });
+            } catch (error) {
+                // Try the next form
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Effective `baseUrl`/`paths` of one config file, `extends` applied:
+     * { baseUrl, paths, pathsDir } with absolute directories
+     */
+    loadTsConfig(configPath, seen = new Set()) {
+        if (this.tsConfigFiles.has(configPath)) return this.tsConfigFiles.get(configPath);
+        if (seen.has(configPath)) return null;
+        seen.add(configPath);
+
+        let config;
+        try {
+            config = parseJSONC(fs.readFileSync(configPath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        const configDir = path.dirname(configPath);
+        const effective = { baseUrl: null, paths: null, pathsDir: null };
+
+        // Later entries of an `extends` array override earlier ones
+        const parents = Array.isArray(config.extends) ? config.extends : config.extends ? [config.extends] : [];
+        parents.forEach(parent => {
+            const parentPath = this.resolveExtends(configDir, parent);
+            const inherited = parentPath ? this.loadTsConfig(parentPath, seen) : null;
+            if (!inherited) return;
+            if (inherited.baseUrl) effective.baseUrl = inherited.baseUrl;
+            if (inherited.paths) Object.assign(effective, { paths: inherited.paths, pathsDir: inherited.pathsDir });
+        });
+
+        const options = config.compilerOptions || {};
+        if (typeof options.baseUrl === 'string') effective.baseUrl = path.resolve(configDir, options.baseUrl);
+        if (options.paths && typeof options.paths === 'object') {
+            effective.paths = options.paths;
+            effective.pathsDir = configDir;
+        }
+
+        this.tsConfigFiles.set(configPath, effective);
+        return effective;
+    }
+
+    tsConfigFor(importingFile) {
+        return this.nearest(this.tsConfigsByDir, path.dirname(importingFile), dir => {
+            const configFile = TS_CONFIG_FILES.map(name => path.join(dir, name)).find(isFile);
+            return configFile ? this.loadTsConfig(configFile) : null;
+        });
+    }
+
+    packageFor(importingFile) {
+        return this.nearest(this.packagesByDir, path.dirname(importingFile), dir => {
+            try {
+                return { dir, manifest: JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')) };
+            } catch (error) {
+                return null;
+            }
+        });
+    }
+
+    /**
+     * tsconfig `paths` targets for a specifier, absolute; null when no
+     * pattern matches. The exact key, else the longest prefix, wins.
+     */
+    pathTargets(tsConfig, specifier) {
+        if (!tsConfig || !tsConfig.paths) return null;
+
+        let best = null;
+        Object.keys(tsConfig.paths).forEach(pattern => {
+            const star = pattern.indexOf('*');
+            const prefix = star === -1 ? pattern : pattern.substring(0, star);
+            const suffix = star === -1 ? '' : pattern.substring(star + 1);
+            const matches = star === -1
+                ? specifier === pattern
+                : specifier.startsWith(prefix) && specifier.endsWith(suffix) && specifier.length >= prefix.length + suffix.length;
+            if (matches && (!best || star === -1 || (best.star !== -1 && prefix.length > best.prefix.length))) {
+                best = { pattern, star, prefix, match: star === -1 ? '' : specifier.substring(prefix.length, specifier.length - suffix.length) };
+            }
+        });
+        if (!best) return null;
+
+        // Relative to baseUrl when there is one, else to the config declaring `paths`
+        const base = tsConfig.baseUrl || tsConfig.pathsDir;
+        const targets = Array.isArray(tsConfig.paths[best.pattern]) ? tsConfig.paths[best.pattern] : [];
+        return targets.map(target => path.resolve(base, target.split('*').join(best.match)));
+    }
+
+    /**
+     * package.json `imports` or self-referencing `exports` targets, absolute;
+     * targets outside the package (other modules) are dropped
+     */
+    packageTargets(pkg, specifier) {
+        if (!pkg) return null;
+        const { dir, manifest } = pkg;
+        let targets = [];
+
+        if (specifier.startsWith('#')) {
+            targets = mapSubpath(manifest.imports, specifier);
+        } else if (manifest.name && manifest.exports !== undefined &&
+            (specifier === manifest.name || specifier.startsWith(`${manifest.name}/`))) {
+            targets = exportTargets(manifest.exports, specifier.substring(manifest.name.length + 1));
+        }
+
+        const local = targets.filter(target => target.startsWith('./')).map(target => path.resolve(dir, target));
+        return local.length > 0 ? local : null;
+    }
+
+    /**
+     * Resolve a non-relative specifier to an absolute file path, or null.
+     *
+     * @param {string} importingFile - absolute path of the importing file
+     * @param {string} specifier
+     * @param {Function} [accept] - absolutePath → boolean, e.g. "is an
+     *   analyzed file"; defaults to "is a file"
+     */
+    resolve(importingFile, specifier, accept = isFile) {
+        const firstMatch = targets => {
+            for (const target of targets || []) {
+                const resolved = probe(target, accept);
+                if (resolved) return resolved;
+            }
+            return null;
+        };
+
+        const pkg = this.packageFor(importingFile);
+        const tsConfig = this.tsConfigFor(importingFile);
+
+        if (specifier.startsWith('#')) return firstMatch(this.packageTargets(pkg, specifier));
+
+        const aliased = firstMatch(this.pathTargets(tsConfig, specifier));
+        if (aliased) return aliased;
+
+        if (this.workspaces && this.workspaces.match(specifier)) {
+            const resolved = this.workspaces.resolve(specifier, accept);
+            if (resolved) return resolved;
+        }
+
+        const selfReferenced = firstMatch(this.packageTargets(pkg, specifier));
+        if (selfReferenced) return selfReferenced;
+
+        return tsConfig && tsConfig.baseUrl ? probe(path.resolve(tsConfig.baseUrl, specifier), accept) : null;
+    }
+
+    /**
+     * Whether a non-relative specifier points into the project: it matches
+     * an alias, an imports entry, a workspace or the package's own name, or
+     * resolves under baseUrl
+     */
+    isProjectSpecifier(importingFile, specifier) {
+        const pkg = this.packageFor(importingFile);
+        const tsConfig = this.tsConfigFor(importingFile);
+
+        return !!(this.packageTargets(pkg, specifier) ||
+            this.pathTargets(tsConfig, specifier) ||
+            (this.workspaces && this.workspaces.match(specifier)) ||
+            (tsConfig && tsConfig.baseUrl && probe(path.resolve(tsConfig.baseUrl, specifier))));
+    }
+}
+
+module.exports = { ModuleResolver, flattenTargets, normalizeExports, exportTargets, probe };
@@ -0,0 +1,730 @@
+/**
+ * 🔍 Source Parser - Content-only extraction for one source file
+ *
+ * Everything here depends solely on a file's path and content, so it can run
+ * in a worker thread and its results can be cached (see AnalysisCache):
+ * TypeScript AST declarations and import records, hooks, complexity and the
+ * regex fallback for files without top-level declarations.
+ */
+
+const path = require('path');
+const ts = require('typescript');
+
+/**
+ * 🔍 Parse TypeScript/JavaScript file using TS compiler API
+ * Enhanced: extracts parameter types, return types, visibility, async/static modifiers
+ * Collects every top-level class and function (incl. `const X = () => ...` components),
+ * plus interfaces, type aliases and enums for TypeScript files
+ */
+function parseWithTypeScript(filePath, content) {
+    const ext = path.extname(filePath);
+    const isTypeScript = ['.ts', '.tsx'].includes(ext);
+    const fileName = path.basename(filePath, ext);
+
+    const sourceFile = ts.createSourceFile(
+        filePath,
+        content,
+        ts.ScriptTarget.Latest,
+        true
+    );
+
+    const result = { classes: [], functions: [], interfaces: [], hooks: [] };
+
+    function getVisibility(node) {
+        if (!node.modifiers) return 'public';
+        for (const mod of node.modifiers) {
+            if (mod.kind === ts.SyntaxKind.PrivateKeyword) return 'private';
+            if (mod.kind === ts.SyntaxKind.ProtectedKeyword) return 'protected';
+        }
+        return 'public';
+    }
+
+    function hasModifier(node, kind) {
+        return node.modifiers ? node.modifiers.some(m => m.kind === kind) : false;
+    }
+
+    function getTypeText(typeNode) {
+        if (!typeNode) return null;
+        try { return typeNode.getText(sourceFile); } catch { return null; }
+    }
+
+    function getLocation(node) {
+        const start = node.getStart(sourceFile);
+        return {
+            start,
+            end: node.end,
+            startLine: sourceFile.getLineAndCharacterOfPosition(start).line + 1,
+            endLine: sourceFile.getLineAndCharacterOfPosition(node.end).line + 1
+        };
+    }
+
+    function extractMethodInfo(member) {
+        const name = member.name ? member.name.getText(sourceFile) : '<anonymous>';
+        const isAsync = hasModifier(member, ts.SyntaxKind.AsyncKeyword);
+        const isStatic = hasModifier(member, ts.SyntaxKind.StaticKeyword);
+        const visibility = getVisibility(member);
+
+        // Extract parameters with types
+        const parameters = (member.parameters || []).map(param => {
+            const paramName = param.name ? param.name.getText(sourceFile) : '?';
+            const paramType = getTypeText(param.type);
+            const isOptional = !!param.questionToken;
+            return { name: paramName, type: paramType, optional: isOptional };
+        });
+
+        // Extract return type
+        const returnType = getTypeText(member.type);
+
+        return {
+            name,
+            visibility,
+            type: 'method',
+            isAsync,
+            isStatic,
+            parameters,
+            returnType,
+            signature: `${isAsync ? 'async ' : ''}${isStatic ? 'static ' : ''}${name}(${parameters.map(p => p.type ? `${p.name}: ${p.type}` : p.name).join(', ')})${returnType ? `: ${returnType}` : ''}`
+        };
+    }
+
+    function extractClassInfo(node, className, exportInfo, locationNode) {
+        const classInfo = { name: className, extends: null, implements: [], methods: [], fields: [], ...exportInfo, location: getLocation(locationNode) };
+
+        if (node.heritageClauses) {
+            for (const clause of node.heritageClauses) {
+                if (clause.token === ts.SyntaxKind.ExtendsKeyword) {
+                    classInfo.extends = clause.types[0].expression.getText(sourceFile);
+                } else if (clause.token === ts.SyntaxKind.ImplementsKeyword) {
+                    classInfo.implements = clause.types.map(type =>
+                        type.expression.getText(sourceFile)
+                    );
+                }
+            }
+        }
+
+        node.members.forEach(member => {
+            if (ts.isMethodDeclaration(member) && member.name) {
+                classInfo.methods.push(extractMethodInfo(member));
+            } else if (ts.isPropertyDeclaration(member) && member.name) {
+                classInfo.fields.push({
+                    name: member.name.getText(sourceFile),
+                    type: getTypeText(member.type),
+                    visibility: getVisibility(member),
+                    isStatic: hasModifier(member, ts.SyntaxKind.StaticKeyword)
+                });
+            } else if (ts.isConstructorDeclaration(member)) {
+                classInfo.methods.push({
+                    ...extractMethodInfo(member),
+                    name: 'constructor',
+                    type: 'constructor'
+                });
+            }
+        });
+
+        return classInfo;
+    }
+
+    function extractFunctionInfo(fnNode, functionName, exportInfo, locationNode) {
+        const info = extractMethodInfo(fnNode);
+        // Arrow functions carry `async` on their own modifiers, not the declaration's
+        const isAsync = info.isAsync || hasModifier(fnNode, ts.SyntaxKind.AsyncKeyword);
+        const parameterList = info.parameters.map(p => p.type ? `${p.name}: ${p.type}` : p.name).join(', ');
+        return {
+            name: functionName,
+            isAsync,
+            parameters: info.parameters,
+            returnType: info.returnType,
+            signature: `${isAsync ? 'async ' : ''}${functionName}(${parameterList})${info.returnType ? `: ${info.returnType}` : ''}`,
+            ...exportInfo,
+            location: getLocation(locationNode)
+        };
+    }
+
+    /**
+     * Property and method signatures of an interface body or type literal
+     */
+    function extractTypeMembers(members, info) {
+        members.forEach(member => {
+            if ((ts.isMethodSignature(member) || ts.isCallSignatureDeclaration(member)) && member.name) {
+                info.methods.push(extractMethodInfo(member));
+            } else if (ts.isPropertySignature(member) && member.name) {
+                info.fields.push({
+                    name: member.name.getText(sourceFile),
+                    type: getTypeText(member.type),
+                    visibility: 'public',
+                    isStatic: false,
+                    optional: !!member.questionToken,
+                    readonly: hasModifier(member, ts.SyntaxKind.ReadonlyKeyword)
+                });
+            }
+        });
+    }
+
+    function extractInterfaceInfo(node) {
+        const info = { name: node.name.getText(sourceFile), kind: 'interface', extends: [], methods: [], fields: [], ...getExportInfo(node), location: getLocation(node) };
+
+        if (node.heritageClauses) {
+            for (const clause of node.heritageClauses) {
+                if (clause.token === ts.SyntaxKind.ExtendsKeyword) {
+                    info.extends = clause.types.map(type =>
+                        type.expression.getText(sourceFile)
+                    );
+                }
+            }
+        }
+
+        extractTypeMembers(node.members, info);
+        return info;
+    }
+
+    function extractTypeAliasInfo(node) {
+        const info = { name: node.name.getText(sourceFile), kind: 'type', extends: [], methods: [], fields: [], aliasOf: getTypeText(node.type), ...getExportInfo(node), location: getLocation(node) };
+
+        // `type A = B & C & { ... }` — referenced types act as parents, literals as members
+        const parts = ts.isIntersectionTypeNode(node.type) ? node.type.types : [node.type];
+        parts.forEach(part => {
+            if (ts.isTypeLiteralNode(part)) {
+                extractTypeMembers(part.members, info);
+            } else if (ts.isTypeReferenceNode(part) && parts.length > 1) {
+                info.extends.push(part.typeName.getText(sourceFile));
+            }
+        });
+
+        return info;
+    }
+
+    function extractEnumInfo(node) {
+        return {
+            name: node.name.getText(sourceFile),
+            kind: 'enum',
+            extends: [],
+            methods: [],
+            fields: node.members.map(member => ({
+                name: member.name.getText(sourceFile),
+                type: null,
+                value: member.initializer ? member.initializer.getText(sourceFile) : null,
+                visibility: 'public',
+                isStatic: true
+            })),
+            isConst: hasModifier(node, ts.SyntaxKind.ConstKeyword),
+            ...getExportInfo(node),
+            location: getLocation(node)
+        };
+    }
+
+    function getExportInfo(node) {
+        return {
+            isExported: hasModifier(node, ts.SyntaxKind.ExportKeyword),
+            isDefaultExport: hasModifier(node, ts.SyntaxKind.DefaultKeyword)
+        };
+    }
+
+    /**
+     * Unwrap `memo(() => ...)`, `forwardRef(function () {...})` and friends
+     * so wrapped React components still count as functions.
+     */
+    function unwrapFunction(initializer) {
+        let node = initializer;
+        while (node && ts.isCallExpression(node) && node.arguments.length > 0) {
+            node = node.arguments[0];
+        }
+        while (node && ts.isParenthesizedExpression(node)) {
+            node = node.expression;
+        }
+        if (node && (ts.isArrowFunction(node) || ts.isFunctionExpression(node))) return node;
+        return null;
+    }
+
+    // Top-level declarations → one UML entity each
+    sourceFile.statements.forEach(statement => {
+        if (ts.isClassDeclaration(statement)) {
+            const className = statement.name ? statement.name.getText(sourceFile) : fileName;
+            result.classes.push(extractClassInfo(statement, className, getExportInfo(statement), statement));
+        } else if (ts.isFunctionDeclaration(statement) && statement.body) {
+            const functionName = statement.name ? statement.name.getText(sourceFile) : fileName;
+            result.functions.push(extractFunctionInfo(statement, functionName, getExportInfo(statement), statement));
+        } else if (isTypeScript && ts.isInterfaceDeclaration(statement)) {
+            result.interfaces.push(extractInterfaceInfo(statement));
+        } else if (isTypeScript && ts.isTypeAliasDeclaration(statement)) {
+            result.interfaces.push(extractTypeAliasInfo(statement));
+        } else if (isTypeScript && ts.isEnumDeclaration(statement)) {
+            result.interfaces.push(extractEnumInfo(statement));
+        } else if (ts.isVariableStatement(statement)) {
+            const exportInfo = getExportInfo(statement);
+            statement.declarationList.declarations.forEach(decl => {
+                if (!ts.isIdentifier(decl.name) || !decl.initializer) return;
+                const declName = decl.name.getText(sourceFile);
+
+                if (ts.isClassExpression(decl.initializer)) {
+                    result.classes.push(extractClassInfo(decl.initializer, declName, exportInfo, statement));
+                    return;
+                }
+
+                const fnNode = unwrapFunction(decl.initializer);
+                if (fnNode) {
+                    result.functions.push(extractFunctionInfo(fnNode, declName, exportInfo, statement));
+                }
+            });
+        }
+    });
+
+    /**
+     * Every module this file pulls in: static/type-only imports, re-exports,
+     * `require()`, dynamic `import()` and worker scripts. Symbols map
+     * imported → local names.
+     */
+    function collectImportRecords() {
+        const records = [];
+        const lineOf = (node) => sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1;
+
+        // A file path written relative to this file: './x.js', path.join(__dirname, 'x.js'),
+        // new URL('./x.js', import.meta.url); null when it can't be read statically
+        const relativeSpecifier = (expression) => {
+            if (!expression) return null;
+            if (ts.isStringLiteralLike(expression)) return /^\.\.?\//.test(expression.text) ? expression.text : null;
+            if (ts.isCallExpression(expression) && ts.isPropertyAccessExpression(expression.expression) &&
+                ['join', 'resolve'].includes(expression.expression.name.text) && expression.arguments.length > 1 &&
+                ts.isIdentifier(expression.arguments[0]) && expression.arguments[0].text === '__dirname' &&
+                expression.arguments.slice(1).every(ts.isStringLiteralLike)) {
+                const joined = path.posix.join(...expression.arguments.slice(1).map(arg => arg.text));
+                return joined.startsWith('../') ? joined : `./${joined}`;
+            }
+            const base = ts.isNewExpression(expression) && expression.arguments && expression.arguments[1];
+            if (base && ts.isIdentifier(expression.expression) && expression.expression.text === 'URL' &&
+                ts.isPropertyAccessExpression(base) && ts.isMetaProperty(base.expression)) {
+                return relativeSpecifier(expression.arguments[0]);
+            }
+            return null;
+        };
+        const constructorName = (node) => ts.isIdentifier(node) ? node.text : ts.isPropertyAccessExpression(node) ? node.name.text : '';
+
+        const visitImports = (node) => {
+            if (ts.isImportDeclaration(node) && ts.isStringLiteral(node.moduleSpecifier)) {
+                const clause = node.importClause;
+                const symbols = [];
+                if (clause) {
+                    if (clause.name) {
+                        symbols.push({ imported: 'default', local: clause.name.text, isTypeOnly: clause.isTypeOnly });
+                    }
+                    const bindings = clause.namedBindings;
+                    if (bindings && ts.isNamespaceImport(bindings)) {
+                        symbols.push({ imported: '*', local: bindings.name.text, isTypeOnly: clause.isTypeOnly });
+                    } else if (bindings && ts.isNamedImports(bindings)) {
+                        bindings.elements.forEach(element => symbols.push({
+                            imported: (element.propertyName || element.name).text,
+                            local: element.name.text,
+                            isTypeOnly: clause.isTypeOnly || element.isTypeOnly
+                        }));
+                    }
+                }
+                const isTypeOnly = symbols.length > 0 && symbols.every(sym => sym.isTypeOnly);
+                records.push({ specifier: node.moduleSpecifier.text, kind: isTypeOnly ? 'type-only' : 'import', symbols, line: lineOf(node), position: node.getStart(sourceFile) });
+            } else if (ts.isExportDeclaration(node) && node.moduleSpecifier && ts.isStringLiteral(node.moduleSpecifier)) {
+                const symbols = node.exportClause && ts.isNamedExports(node.exportClause)
+                    ? node.exportClause.elements.map(element => ({
+                        imported: (element.propertyName || element.name).text,
+                        local: null,
+                        isTypeOnly: node.isTypeOnly || element.isTypeOnly
+                    }))
+                    : [{ imported: '*', local: null, isTypeOnly: node.isTypeOnly }];
+                records.push({ specifier: node.moduleSpecifier.text, kind: node.isTypeOnly ? 'type-only' : 'import', symbols, isReExport: true, line: lineOf(node), position: node.getStart(sourceFile) });
+            } else if (ts.isImportEqualsDeclaration(node) && ts.isExternalModuleReference(node.moduleReference) &&
+                       ts.isStringLiteral(node.moduleReference.expression)) {
+                records.push({
+                    specifier: node.moduleReference.expression.text,
+                    kind: node.isTypeOnly ? 'type-only' : 'require',
+                    symbols: [{ imported: '*', local: node.name.text, isTypeOnly: node.isTypeOnly }],
+                    line: lineOf(node),
+                    position: node.getStart(sourceFile)
+                });
+            } else if (ts.isNewExpression(node) && /Worker/.test(constructorName(node.expression)) && node.arguments && node.arguments.length > 0) {
+                // `new Worker(path.join(__dirname, 'worker.js'))` runs that file: an edge like import()
+                const specifier = relativeSpecifier(node.arguments[0]);
+                if (specifier) records.push({ specifier, kind: 'worker', symbols: [], line: lineOf(node), position: node.getStart(sourceFile) });
+            } else if (ts.isCallExpression(node) && node.arguments.length > 0 && ts.isStringLiteral(node.arguments[0])) {
+                const isRequire = ts.isIdentifier(node.expression) && node.expression.text === 'require';
+                const isDynamicImport = node.expression.kind === ts.SyntaxKind.ImportKeyword;
+                if (isRequire || isDynamicImport) {
+                    const symbols = [];
+                    // `const x = require(…)` or `const { a } = await import(…)`
+                    let parent = node.parent;
+                    if (isRequire && parent && ts.isPropertyAccessExpression(parent) && parent.expression === node) {
+                        // `require(…).member`
+                        symbols.push({ imported: parent.name.text, local: null, isTypeOnly: false });
+                    }
+                    if (isDynamicImport && parent && ts.isAwaitExpression(parent)) parent = parent.parent;
+                    if (parent && ts.isVariableDeclaration(parent) && parent.initializer &&
+                        (parent.initializer === node || parent.initializer === node.parent)) {
+                        if (ts.isIdentifier(parent.name)) {
+                            symbols.push({ imported: '*', local: parent.name.text, isTypeOnly: false });
+                        } else if (ts.isObjectBindingPattern(parent.name)) {
+                            parent.name.elements.forEach(element => {
+                                if (!ts.isIdentifier(element.name)) return;
+                                symbols.push({
+                                    imported: element.propertyName ? element.propertyName.getText(sourceFile) : element.name.text,
+                                    local: element.name.text,
+                                    isTypeOnly: false
+                                });
+                            });
+                        }
+                    }
+                    records.push({ specifier: node.arguments[0].text, kind: isRequire ? 'require' : 'dynamic-import', symbols, line: lineOf(node), position: node.getStart(sourceFile) });
+                }
+            }
+            ts.forEachChild(node, visitImports);
+        };
+
+        visitImports(sourceFile);
+        return records;
+    }
+
+    /**
+     * Everything this file exports, from the top-level statements:
+     * declarations, `export { … }` lists, `export default`/`export =` and
+     * re-exports. Names are the exported names; re-exports also record the
+     * source module and the name imported from it.
+     */
+    function collectExportRecords() {
+        const records = [];
+        const add = (node, name, type, extra = {}) => records.push({
+            name,
+            type,
+            line: sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1,
+            isTypeOnly: false,
+            ...extra
+        });
+        const bindingNames = (name) => ts.isIdentifier(name)
+            ? [name.text]
+            : name.elements.flatMap(element => (ts.isOmittedExpression(element) ? [] : bindingNames(element.name)));
+
+        sourceFile.statements.forEach(statement => {
+            if (ts.isExportAssignment(statement)) {
+                // `export default expr` and TypeScript's `export = expr`
+                const expression = statement.expression;
+                add(statement, ts.isIdentifier(expression) ? expression.text : 'default', 'default', statement.isExportEquals ? { isExportEquals: true } : {});
+            } else if (ts.isExportDeclaration(statement)) {
+                const from = statement.moduleSpecifier && ts.isStringLiteral(statement.moduleSpecifier) ? statement.moduleSpecifier.text : null;
+                const clause = statement.exportClause;
+                if (!clause) {
+                    if (from) add(statement, '*', 're-export', { from, imported: '*', isTypeOnly: statement.isTypeOnly });
+                } else if (ts.isNamespaceExport(clause)) {
+                    add(statement, clause.name.text, from ? 're-export' : 'named', { from, imported: '*', isTypeOnly: statement.isTypeOnly });
+                } else {
+                    clause.elements.forEach(element => {
+                        const exported = element.name.text;
+                        const local = (element.propertyName || element.name).text;
+                        const isTypeOnly = statement.isTypeOnly || element.isTypeOnly;
+                        if (from) {
+                            add(statement, exported, 're-export', { from, imported: local, isTypeOnly });
+                        } else if (exported === 'default') {
+                            add(statement, local, 'default', { isTypeOnly });
+                        } else {
+                            add(statement, exported, 'named', { isTypeOnly });
+                        }
+                    });
+                }
+            } else if (hasModifier(statement, ts.SyntaxKind.ExportKeyword)) {
+                const isTypeOnly = ts.isInterfaceDeclaration(statement) || ts.isTypeAliasDeclaration(statement);
+                if (ts.isVariableStatement(statement)) {
+                    statement.declarationList.declarations.forEach(decl => {
+                        bindingNames(decl.name).forEach(name => add(statement, name, 'named'));
+                    });
+                } else if (hasModifier(statement, ts.SyntaxKind.DefaultKeyword)) {
+                    add(statement, statement.name ? statement.name.text : 'default', 'default', { isTypeOnly });
+                } else if (statement.name) {
+                    add(statement, statement.name.text, 'named', { isTypeOnly });
+                }
+            }
+        });
+
+        return records;
+    }
+
+    /**
+     * CommonJS exports from top-level assignments, flagged `isCommonJS`:
+     * - `exports.foo = …` / `module.exports.foo = …` → named `foo`
+     * - `module.exports = { a, b() {} }` (or an identifier bound to such an
+     *   object) → named `a` and `b`, the members importers reach
+     * - `module.exports = new Manager()` → default `Manager`, plus its public
+     *   methods as named exports with `memberOf: 'Manager'`; methods the class
+     *   calls on `this` itself are `usedInternally`
+     * - any other `module.exports = …` → default
+     */
+    function collectCommonJSExports() {
+        const records = [];
+        const add = (node, name, type, extra = {}) => records.push({
+            name,
+            type,
+            line: sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1,
+            isTypeOnly: false,
+            isCommonJS: true,
+            ...extra
+        });
+        const isModuleExports = (node) => ts.isPropertyAccessExpression(node) &&
+            ts.isIdentifier(node.expression) && node.expression.text === 'module' && node.name.text === 'exports';
+        const isExportsObject = (node) => (ts.isIdentifier(node) && node.text === 'exports') || isModuleExports(node);
+
+        const topLevel = (predicate, name) => sourceFile.statements.find(statement => predicate(statement) && statement.name && statement.name.text === name);
+        const objectLiteralNamed = (name) => {
+            for (const statement of sourceFile.statements.filter(ts.isVariableStatement)) {
+                const decl = statement.declarationList.declarations.find(d => ts.isIdentifier(d.name) && d.name.text === name);
+                if (decl) return decl.initializer && ts.isObjectLiteralExpression(decl.initializer) ? decl.initializer : null;
+            }
+            return null;
+        };
+
+        const addObjectMembers = (node, object) => {
+            object.properties.forEach(property => {
+                if (property.name && (ts.isIdentifier(property.name) || ts.isStringLiteral(property.name))) {
+                    add(node, property.name.text, 'named');
+                }
+            });
+        };
+
+        const addInstanceMembers = (node, classNode) => {
+            const className = classNode.name.text;
+            // `this.helper()` inside the class keeps a method alive without importers
+            const internal = new Set();
+            const visit = (child) => {
+                if (ts.isPropertyAccessExpression(child) && child.expression.kind === ts.SyntaxKind.ThisKeyword) internal.add(child.name.text);
+                ts.forEachChild(child, visit);
+            };
+            visit(classNode);
+
+            classNode.members.forEach(member => {
+                if (!ts.isMethodDeclaration(member) || !member.name || !ts.isIdentifier(member.name)) return;
+                if (hasModifier(member, ts.SyntaxKind.StaticKeyword) || getVisibility(member) !== 'public') return;
+                const name = member.name.text;
+                add(member, name, 'named', { memberOf: className, ...(internal.has(name) ? { usedInternally: true } : {}) });
+            });
+        };
+
+        sourceFile.statements.forEach(statement => {
+            if (!ts.isExpressionStatement(statement) || !ts.isBinaryExpression(statement.expression) ||
+                statement.expression.operatorToken.kind !== ts.SyntaxKind.EqualsToken) return;
+            const { left } = statement.expression;
+            // `module.exports = exports = Ajv`
+            let right = statement.expression.right;
+            while (ts.isBinaryExpression(right) && right.operatorToken.kind === ts.SyntaxKind.EqualsToken) right = right.right;
+
+            if (ts.isPropertyAccessExpression(left) && isExportsObject(left.expression)) {
+                const name = left.name.text;
+                add(statement, name, name === 'default' ? 'default' : 'named');
+            } else if (isModuleExports(left)) {
+                const object = ts.isObjectLiteralExpression(right) ? right
+                    : ts.isIdentifier(right) ? objectLiteralNamed(right.text)
+                    : null;
+                if (object) {
+                    addObjectMembers(statement, object);
+                } else if (ts.isNewExpression(right) && ts.isIdentifier(right.expression)) {
+                    add(statement, right.expression.text, 'default');
+                    const classNode = topLevel(ts.isClassDeclaration, right.expression.text);
+                    if (classNode) addInstanceMembers(statement, classNode);
+                } else {
+                    const name = ts.isIdentifier(right) ? right.text
+                        : (ts.isClassExpression(right) || ts.isFunctionExpression(right)) && right.name ? right.name.text
+                        : 'default';
+                    add(statement, name, 'default');
+                }
+            }
+        });
+
+        return records;
+    }
+
+    /**
+     * For bindings of a whole module (`const m = require()`, `import * as m`,
+     * default imports): the members read from them (`m.a`, `m['b']`,
+     * `const { c } = m`, `m.Type` in types). Null when the binding is used
+     * any other way, e.g. passed to a function, since then any member may be.
+     */
+    function collectMemberUses(records) {
+        const tracked = new Map();
+        records.forEach(record => record.symbols.forEach(symbol => {
+            if (symbol.local && (symbol.imported === '*' || symbol.imported === 'default')) {
+                symbol.members = [];
+                tracked.set(symbol.local, [...(tracked.get(symbol.local) || []), symbol]);
+            }
+        }));
+        if (tracked.size === 0) return;
+
+        const uses = new Map([...tracked.keys()].map(local => [local, new Set()]));
+        const escaped = new Set();
+
+        const isBindingSite = (id, parent) =>
+            ((ts.isVariableDeclaration(parent) || ts.isImportEqualsDeclaration(parent) || ts.isImportClause(parent) ||
+              ts.isNamespaceImport(parent) || ts.isImportSpecifier(parent) || ts.isBindingElement(parent) ||
+              ts.isParameter(parent) || ts.isFunctionDeclaration(parent) || ts.isClassDeclaration(parent)) && parent.name === id) ||
+            ((ts.isPropertyAccessExpression(parent) || ts.isQualifiedName(parent)) && (parent.name === id || parent.right === id)) ||
+            ((ts.isPropertyAssignment(parent) || ts.isMethodDeclaration(parent) || ts.isPropertyDeclaration(parent) ||
+              ts.isPropertySignature(parent) || ts.isMethodSignature(parent)) && parent.name === id);
+
+        const visit = (node) => {
+            if (ts.isIdentifier(node) && uses.has(node.text) && node.parent && !isBindingSite(node, node.parent)) {
+                const parent = node.parent;
+                const members = uses.get(node.text);
+                if (ts.isPropertyAccessExpression(parent) && parent.expression === node) {
+                    members.add(parent.name.text);
+                } else if (ts.isElementAccessExpression(parent) && parent.expression === node && ts.isStringLiteral(parent.argumentExpression)) {
+                    members.add(parent.argumentExpression.text);
+                } else if (ts.isQualifiedName(parent) && parent.left === node) {
+                    members.add(parent.right.text);
+                } else if (ts.isVariableDeclaration(parent) && parent.initializer === node && ts.isObjectBindingPattern(parent.name)) {
+                    parent.name.elements.forEach(element => {
+                        const key = element.propertyName || element.name;
+                        if (ts.isIdentifier(key)) members.add(key.text);
+                        else escaped.add(node.text);
+                    });
+                } else {
+                    escaped.add(node.text);
+                }
+            }
+            ts.forEachChild(node, visit);
+        };
+        sourceFile.statements.forEach(statement => {
+            if (!ts.isImportDeclaration(statement)) visit(statement);
+        });
+
+        tracked.forEach((symbols, local) => symbols.forEach(symbol => {
+            symbol.members = escaped.has(local) ? null : [...uses.get(local)];
+        }));
+    }
+
+    result.imports = collectImportRecords();
+    collectMemberUses(result.imports);
+    // Hybrid modules (`export default Ajv` plus `module.exports = Ajv`) list each export once
+    const esmExports = collectExportRecords();
+    const exportKeyOf = record => record.type === 'default' ? 'default' : record.name;
+    const esmKeys = new Set(esmExports.map(exportKeyOf));
+    result.exports = [...esmExports, ...collectCommonJSExports().filter(record => !esmKeys.has(exportKeyOf(record)))];
+
+    // Which imported bindings each declaration actually references
+    const importedLocals = new Set();
+    result.imports.forEach(record => {
+        record.symbols.forEach(symbol => {
+            if (symbol.local) importedLocals.add(symbol.local);
+        });
+    });
+    const declarations = [...result.classes, ...result.functions, ...result.interfaces];
+    declarations.forEach(declaration => { declaration.uses = []; });
+    if (importedLocals.size > 0) {
+        const collectUses = (node) => {
+            if (ts.isIdentifier(node) && importedLocals.has(node.text)) {
+                const position = node.getStart(sourceFile);
+                const owner = declarations.find(d => position >= d.location.start && position < d.location.end);
+                if (owner && !owner.uses.includes(node.text)) owner.uses.push(node.text);
+            }
+            ts.forEachChild(node, collectUses);
+        };
+        sourceFile.statements.forEach(statement => {
+            if (!ts.isImportDeclaration(statement) && !ts.isImportEqualsDeclaration(statement)) collectUses(statement);
+        });
+    }
+
+    result.hooks = extractHooks(content);
+
+    return result;
+}
+
+// Entity types that describe shapes rather than runtime code
+const TYPE_DEFINITION_KINDS = ['interface', 'type', 'enum'];
+
+/**
+ * 🪝 Extract React hook calls (works for both TS and JS)
+ */
+function extractHooks(content) {
+    const hookRegex = /\b(use[A-Z]\w*)\s*\(/g;
+    let hookMatch;
+    const hooksSet = new Set();
+    while ((hookMatch = hookRegex.exec(content)) !== null) {
+        hooksSet.add(hookMatch[1]);
+    }
+    return Array.from(hooksSet);
+}
+
+/**
+ * 🧮 Keyword-count complexity, used when no ComplexityAnalyzer is supplied
+ */
+function estimateComplexity(content) {
+    const cyclomaticComplexity = (content.match(/\b(if|else|for|while|switch|case|catch)\b/g) || []).length;
+    const level = cyclomaticComplexity > 15 ? 'CRITICAL' : cyclomaticComplexity > 10 ? 'HIGH' : cyclomaticComplexity > 5 ? 'MEDIUM' : 'LOW';
+    return {
+        cyclomaticComplexity,
+        cognitiveComplexity: cyclomaticComplexity,
+        nestingDepth: 0,
+        linesOfCode: content.split('\n').length,
+        threatLevel: level,
+        threatColor: { CRITICAL: 'red', HIGH: 'orange', MEDIUM: 'yellow', LOW: 'green' }[level],
+        label: level,
+        suggestions: []
+    };
+}
+
+/**
+ * 🔧 Regex method extraction for files without top-level declarations
+ * (config objects, scripts). Guards against control-flow statements
+ * (if/for/while/etc.) being misread as methods.
+ */
+function extractMethodsByRegex(content) {
+    const methodMatches = content.match(
+        /(?:(?:async\s+)?function\s+\w+|(?:export\s+)?(?:async\s+)?(?:const|let)\s+\w+\s*=\s*(?:async\s+)?\([^)]*\)\s*=>|^\s*(?:async\s+)?(?!if\b|for\b|while\b|switch\b|catch\b|else\b|try\b|do\b)\w+\s*\([^)]*\)\s*{)/gm
+    ) || [];
+    const controlFlowSignatureRegex = /^(?:if|for|while|switch|catch|else|try|do)\b/;
+    return methodMatches
+        .map((m, i) => {
+            const isAsync = m.includes('async');
+            const signature = m.trim().substring(0, 60);
+            const nameMatch = m.match(/(?:function|const|let)\s+(\w+)|^\s*(\w+)\s*\(/);
+            return {
+                name: nameMatch ? (nameMatch[1] || nameMatch[2]) : `method_${i}`,
+                visibility: 'public',
+                type: 'method',
+                isAsync,
+                isStatic: false,
+                parameters: [],
+                returnType: null,
+                signature
+            };
+        })
+        .filter(method => !controlFlowSignatureRegex.test(method.signature));
+}
+
+/**
+ * 🧾 Extract the cacheable facts for one file: parse results, complexity for
+ * the whole file ('') and each declaration (by name), and the exports/imports
+ * ImportAnalyzer collects. This is the unit of work handed to worker threads.
+ *
+ * @param {string} filePath - absolute path (used for extension and cache keys)
+ * @param {string} content - file content
+ * @param {Object} options - { complexityAnalyzer, importAnalyzer } (null to skip)
+ */
+function extractFileFacts(filePath, content, options = {}) {
+    const isTypeScript = ['.ts', '.tsx'].includes(path.extname(filePath));
+    const tsResults = parseWithTypeScript(filePath, content);
+
+    const measure = (key, text) => options.complexityAnalyzer
+        ? options.complexityAnalyzer.analyzeFile(key, text, isTypeScript)
+        : estimateComplexity(text);
+
+    const complexity = { '': measure(filePath, content) };
+    [...tsResults.classes, ...tsResults.functions, ...tsResults.interfaces].forEach(declaration => {
+        if (!declaration.location || Object.prototype.hasOwnProperty.call(complexity, declaration.name)) return;
+        const text = content.substring(declaration.location.start, declaration.location.end);
+        complexity[declaration.name] = measure(`${filePath}#${declaration.name}`, text);
+    });
+
+    const importFacts = options.importAnalyzer ? {
+        exports: options.importAnalyzer.collectExports(filePath, tsResults),
+        imports: options.importAnalyzer.collectImports(filePath, tsResults)
+    } : null;
+
+    return { tsResults, complexity, importFacts };
+}
+
+module.exports = {
+    TYPE_DEFINITION_KINDS,
+    parseWithTypeScript,
+    extractHooks,
+    extractMethodsByRegex,
+    extractFileFacts
+};
@@ -0,0 +1,199 @@
+/**
+ * 👀 Project Watcher - Re-analyze an AnalysisSession as files are saved
+ *
+ * Watches the directories the include patterns start from (the whole project
+ * when `include` is empty or starts with a wildcard), batches change events
+ * for `debounceMs`, and hands the touched paths to session.update(). Excluded
+ * and ignored paths are dropped before they cost an update; editing an ignore
+ * file, a workspace manifest or a tsconfig/jsconfig triggers a rescan.
+ * Monorepos are watched from the root since workspaces can appear wherever
+ * their patterns reach. Where recursive fs.watch is unavailable (Linux before
+ * Node 20), each directory gets its own watcher and new directories are
+ * picked up as they are created. Updates never overlap: events arriving mid-update
+ * are queued for the next batch. onUpdate only fires when something changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SourceFilter } = require('./source-files');
+const { literalBase } = require('./glob');
+const { MANIFEST_FILES } = require('./workspaces');
+const { ModuleResolver } = require('./module-resolver');
+const UMLDelta = require('./aggregators/uml-delta');
+
+// Editors write a file in several steps; wait for the burst to settle
+const DEFAULT_DEBOUNCE_MS = 200;
+
+class ProjectWatcher {
+    /**
+     * @param {AnalysisSession} session - a session that has completed run()
+     * @param {Object} [options] - { debounceMs, logger }
+     */
+    constructor(session, options = {}) {
+        this.session = session;
+        this.debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+        this.logger = options.logger || console;
+        this.watchers = [];
+        // Directory → its watcher, where each directory is watched on its own;
+        // treeRoots are the watched directories whose new subdirectories get watched too
+        this.directoryWatchers = new Map();
+        this.treeRoots = new Set();
+        this.pending = new Set();
+        this.timer = null;
+        this.manifestChanged = false;
+        this.updating = false;
+        this.filter = new SourceFilter(session.projectPath, session.sourceOptions());
+    }
+
+    /**
+     * Directories to watch: where each include pattern starts, or the project root
+     */
+    directories() {
+        const { projectPath, workspaceResolver } = this.session;
+        const bases = this.session.sourceOptions().include
+            .filter(pattern => !pattern.startsWith('!'))
+            .map(literalBase);
+        if (bases.length === 0 || bases.includes('') || workspaceResolver.workspaces.length > 0) return [projectPath];
+
+        const dirs = [...new Set(bases)]
+            .map(base => path.join(projectPath, base))
+            .filter(dir => fs.existsSync(dir) && fs.statSync(dir).isDirectory());
+        // Nested bases are covered by their parent's recursive watch
+        const topLevel = dirs.filter(dir => !dirs.some(other => other !== dir && dir.startsWith(`${other}${path.sep}`)));
+        return topLevel.length > 0 ? topLevel : [projectPath];
+    }
+
+    /**
+     * Start watching. onUpdate receives { umlData, delta } after each
+     * re-analysis that changed anything; it may return a promise.
+     */
+    start(onUpdate) {
+        this.onUpdate = onUpdate;
+        const directories = this.directories();
+        directories.forEach(dir => this.watch(dir, true));
+        // Root package.json, tsconfig.json and ignore files sit outside the include directories
+        if (!directories.includes(this.session.projectPath)) this.watch(this.session.projectPath, false);
+        return this;
+    }
+
+    watch(dir, recursive) {
+        if (!recursive) {
+            this.watchDirectory(dir);
+            return;
+        }
+        try {
+            this.addWatcher(dir, true);
+        } catch (error) {
+            if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+            // Linux before Node 20: one watcher per directory, added as directories appear
+            this.treeRoots.add(dir);
+            this.watchTree(dir);
+        }
+    }
+
+    addWatcher(dir, recursive) {
+        const watcher = fs.watch(dir, { recursive }, (eventType, fileName) => {
+            if (!fileName) return;
+            const filePath = path.join(dir, fileName.toString());
+            if (!recursive) this.trackDirectory(filePath);
+            this.queue(filePath);
+        });
+        watcher.on('error', error => this.logger.warn(`⚠️ Watch error in ${dir}: ${error.message}`));
+        this.watchers.push(watcher);
+        return watcher;
+    }
+
+    watchDirectory(dir) {
+        if (!this.directoryWatchers.has(dir)) this.directoryWatchers.set(dir, this.addWatcher(dir, false));
+    }
+
+    /**
+     * Watch `dir` and every directory below it that isn't excluded
+     */
+    watchTree(dir) {
+        const relativeDir = path.relative(this.session.projectPath, dir);
+        if (this.directoryWatchers.has(dir) || (relativeDir && this.filter.isExcluded(relativeDir, true))) return;
+
+        this.watchDirectory(dir);
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        entries.filter(entry => entry.isDirectory()).forEach(entry => this.watchTree(path.join(dir, entry.name)));
+    }
+
+    /**
+     * Without recursive watching, follow directories being created and removed
+     */
+    trackDirectory(filePath) {
+        let isDirectory = false;
+        try {
+            isDirectory = fs.statSync(filePath).isDirectory();
+        } catch (error) {
+            // Removed: drop its watcher and those below it
+            this.directoryWatchers.forEach((watcher, dir) => {
+                if (dir !== filePath && !dir.startsWith(`${filePath}${path.sep}`)) return;
+                watcher.close();
+                this.directoryWatchers.delete(dir);
+                this.watchers = this.watchers.filter(other => other !== watcher);
+            });
+        }
+        const inTree = [...this.treeRoots].some(root => filePath.startsWith(`${root}${path.sep}`));
+        if (isDirectory && inTree) this.watchTree(filePath);
+    }
+
+    queue(filePath) {
+        const relativePath = path.relative(this.session.projectPath, filePath);
+        if (this.filter.isIgnoreFile(filePath)) {
+            // New ignore rules can add or drop files anywhere
+            this.filter.reset();
+        } else if (MANIFEST_FILES.includes(path.basename(filePath)) || ModuleResolver.isConfigFile(path.basename(filePath))) {
+            // Workspaces and aliases can come and go; the filter is rebuilt after the update
+            if (this.filter.isExcluded(relativePath)) return;
+            this.manifestChanged = true;
+        } else {
+            // Directories have no extension; deleting or renaming one changes the files inside
+            const mayBeDirectory = !path.extname(filePath);
+            if (this.filter.isExcluded(relativePath, mayBeDirectory)) return;
+            if (!mayBeDirectory && !this.filter.isSourceFile(filePath)) return;
+        }
+
+        this.pending.add(filePath);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.debounceMs);
+    }
+
+    async flush() {
+        if (this.updating || this.pending.size === 0) return;
+
+        this.updating = true;
+        const changedPaths = [...this.pending];
+        this.pending.clear();
+
+        try {
+            const result = await this.session.update(changedPaths);
+            if (this.manifestChanged) {
+                this.manifestChanged = false;
+                this.filter = new SourceFilter(this.session.projectPath, this.session.sourceOptions());
+            }
+            if (!UMLDelta.isEmpty(result.delta)) await this.onUpdate(result);
+        } catch (error) {
+            this.logger.warn(`⚠️ Re-analysis failed: ${error.message}`);
+        } finally {
+            this.updating = false;
+            if (this.pending.size > 0) this.flush();
+        }
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+        this.directoryWatchers.clear();
+        this.treeRoots.clear();
+    }
+}
+
+module.exports = ProjectWatcher;
@@ -0,0 +1,83 @@
+/**
+ * 📐 UML Schema - JSON Schemas for the v7.0 output format and the project
+ * config file, and their validators
+ *
+ * Shared by `cartogomancy validate` and the upload path so nothing the
+ * schema rejects is ever sent to SwarmDesk.
+ */
+
+const Ajv = require('ajv');
+const schema = require('./uml-7.0.schema.json');
+const configSchema = require('./config.schema.json');
+
+const ajv = new Ajv({ allErrors: true });
+const compiled = new Map();
+
+function getValidator(target) {
+    if (!compiled.has(target)) {
+        compiled.set(target, ajv.compile(target));
+    }
+    return compiled.get(target);
+}
+
+/**
+ * Name the entity an error points into, e.g. `/classes/12/...` → class "Button"
+ */
+function describeLocation(umlData, instancePath) {
+    const match = instancePath.match(/^\/(classes|packages|files|edges)\/(\d+)/);
+    if (!match || !Array.isArray(umlData[match[1]])) return null;
+
+    const item = umlData[match[1]][Number(match[2])];
+    if (!item || typeof item !== 'object') return null;
+    if (match[1] === 'edges') return `edge ${item.source} → ${item.target}`;
+    const kind = { classes: 'class', packages: 'package', files: 'file' }[match[1]];
+    return `${kind} "${item.name || item.path || item.id}"`;
+}
+
+/**
+ * Turn one Ajv error into { path, message, context }
+ */
+function formatError(error, umlData) {
+    let message = error.message;
+    if (error.keyword === 'enum') {
+        message += `: ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+    } else if (error.keyword === 'const') {
+        message += `: ${JSON.stringify(error.params.allowedValue)}`;
+    } else if (error.keyword === 'additionalProperties') {
+        message += `: "${error.params.additionalProperty}"`;
+    }
+
+    return {
+        path: error.instancePath || '/',
+        message,
+        context: describeLocation(umlData, error.instancePath)
+    };
+}
+
+/**
+ * Validate UML data against the v7.0 schema.
+ * @returns {{ valid: boolean, errors: Array<{ path, message, context }> }}
+ */
+function validateUML(umlData) {
+    const validate = getValidator(schema);
+    if (validate(umlData)) {
+        return { valid: true, errors: [] };
+    }
+
+    return { valid: false, errors: validate.errors.map(error => formatError(error, umlData || {})) };
+}
+
+/**
+ * Validate a project config object (see lib/config.js).
+ * @returns {{ valid: boolean, errors: Array<{ path, message, context }> }}
+ */
+function validateConfig(config) {
+    const validate = getValidator(configSchema);
+    if (validate(config)) {
+        return { valid: true, errors: [] };
+    }
+
+    return { valid: false, errors: validate.errors.map(error => formatError(error, {})) };
+}
+
+module.exports = { validateUML, validateConfig };
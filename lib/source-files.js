@@ -0,0 +1,148 @@
+/**
+ * 📁 Source Files - Which files in a project get analyzed
+ *
+ * A file is analyzed when it has a source extension, matches the include
+ * patterns (everything when there are none), and is not excluded. Exclusion
+ * follows .gitignore rules, checked in this order with the last match winning:
+ *   1. .gitignore and .cartogomancyignore files, from the project root down
+ *      (a deeper file overrides its parents)
+ *   2. the `exclude` setting
+ * An excluded directory is never entered, so nothing below it can be
+ * re-included. Pattern syntax is described in lib/glob.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toPosix, compilePatterns, ruleMatches, matchRules } = require('./glob');
+
+// Extensions of the files cartogomancy parses
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+const GITIGNORE = '.gitignore';
+const CARTOGOMANCY_IGNORE = '.cartogomancyignore';
+
+class SourceFilter {
+    /**
+     * @param {string} projectRoot
+     * @param {Object} [options] - { include, exclude, gitignore: false skips .gitignore files }
+     */
+    constructor(projectRoot, options = {}) {
+        this.projectRoot = projectRoot;
+        this.ignoreFileNames = options.gitignore === false ? [CARTOGOMANCY_IGNORE] : [GITIGNORE, CARTOGOMANCY_IGNORE];
+        this.includeRules = compilePatterns(options.include || [], { anchored: true });
+        this.excludeRules = compilePatterns(options.exclude || []);
+        // Project-relative directory → rules from its ignore files
+        this.ignoreRulesByDir = new Map();
+    }
+
+    /**
+     * Rules from the ignore files in one directory ('' for the root)
+     */
+    ignoreRules(relativeDir) {
+        if (!this.ignoreRulesByDir.has(relativeDir)) {
+            const rules = [];
+            this.ignoreFileNames.forEach(fileName => {
+                const filePath = path.join(this.projectRoot, relativeDir, fileName);
+                try {
+                    const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
+                    rules.push(...compilePatterns(lines, { base: relativeDir }));
+                } catch (error) {
+                    // No ignore file here
+                }
+            });
+            this.ignoreRulesByDir.set(relativeDir, rules);
+        }
+        return this.ignoreRulesByDir.get(relativeDir);
+    }
+
+    /**
+     * Forget cached ignore files, e.g. after one was edited
+     */
+    reset() {
+        this.ignoreRulesByDir.clear();
+    }
+
+    isIgnoreFile(filePath) {
+        return this.ignoreFileNames.includes(path.basename(filePath));
+    }
+
+    /**
+     * Whether a project-relative path, or any directory above it, is excluded
+     */
+    isExcluded(relativePath, isDirectory = false) {
+        const segments = toPosix(relativePath).split('/');
+        let ignoreRules = [];
+
+        for (let i = 0; i < segments.length; i++) {
+            ignoreRules = ignoreRules.concat(this.ignoreRules(segments.slice(0, i).join('/')));
+            const current = segments.slice(0, i + 1).join('/');
+            const currentIsDirectory = i < segments.length - 1 || isDirectory;
+            if (matchRules([...ignoreRules, ...this.excludeRules], current, currentIsDirectory)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Whether a project-relative file matches the include patterns; a
+     * pattern that matches one of its directories includes it too
+     */
+    isIncluded(relativePath) {
+        if (this.includeRules.length === 0) return true;
+
+        const segments = toPosix(relativePath).split('/');
+        let included = false;
+        this.includeRules.forEach(rule => {
+            const matches = segments.some((segment, i) =>
+                ruleMatches(rule, segments.slice(0, i + 1).join('/'), i < segments.length - 1));
+            if (matches) included = !rule.negated;
+        });
+        return included;
+    }
+
+    isSourceFile(filePath) {
+        return SOURCE_EXTENSIONS.includes(path.extname(filePath));
+    }
+
+    /**
+     * Walk the project and return absolute paths of the files to analyze
+     */
+    find() {
+        const files = [];
+
+        const walk = (currentDir, relativeDir, inheritedRules) => {
+            const rules = [...inheritedRules, ...this.ignoreRules(relativeDir)];
+            const excludeRules = [...rules, ...this.excludeRules];
+            const entries = fs.readdirSync(currentDir, { withFileTypes: true });
+
+            for (const entry of entries) {
+                const fullPath = path.join(currentDir, entry.name);
+                const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+                const isDirectory = entry.isDirectory();
+
+                if (matchRules(excludeRules, relativePath, isDirectory)) {
+                    continue;
+                }
+
+                if (isDirectory) {
+                    walk(fullPath, relativePath, rules);
+                } else if (entry.isFile() && this.isSourceFile(entry.name) && this.isIncluded(relativePath)) {
+                    files.push(fullPath);
+                }
+            }
+        };
+
+        walk(this.projectRoot, '', []);
+        return files;
+    }
+}
+
+/**
+ * Absolute paths of the JS/TS sources in `dir` that match `includes` (all
+ * when empty) and aren't excluded by `excludes` or an ignore file.
+ *
+ * @param {Object} [options] - { gitignore: false skips .gitignore files }
+ */
+function findSourceFiles(dir, includes, excludes, options = {}) {
+    return new SourceFilter(dir, { include: includes, exclude: excludes, ...options }).find();
+}
+
+module.exports = { SOURCE_EXTENSIONS, SourceFilter, findSourceFiles };
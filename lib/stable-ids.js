@@ -0,0 +1,75 @@
+/**
+ * 🏷️ Stable IDs - Content-derived identifiers for UML entities
+ *
+ * Every class, file, package and workspace ID is a short hash of its project-relative
+ * path (plus the symbol name for classes), so re-running cartogomancy on an
+ * unchanged repo produces the exact same ID set. SwarmDesk bookmarks,
+ * redundancyAnalysis pairs and possibilityAnalysis members keep pointing at
+ * the same buildings between uploads.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const HASH_LENGTH = 10;
+
+/**
+ * Normalize a relative path to forward slashes so IDs match across platforms.
+ */
+function normalizePath(filePath) {
+    return (filePath || '').split(path.sep).join('/').replace(/^\.\//, '');
+}
+
+function hashParts(...parts) {
+    return crypto.createHash('sha1').update(parts.join('::')).digest('hex').substring(0, HASH_LENGTH);
+}
+
+/**
+ * ID for a class/component entity declared in `filePath`.
+ */
+function classId(filePath, name) {
+    return `component_${hashParts(normalizePath(filePath), name)}`;
+}
+
+/**
+ * ID for a file-level grouping node.
+ */
+function fileId(filePath) {
+    return `file_${hashParts(normalizePath(filePath))}`;
+}
+
+/**
+ * ID for a package (directory) node.
+ */
+function packageId(packagePath) {
+    return `package_${hashParts(normalizePath(packagePath))}`;
+}
+
+/**
+ * ID for a monorepo workspace, from its directory.
+ */
+function workspaceId(workspacePath) {
+    return `workspace_${hashParts(normalizePath(workspacePath))}`;
+}
+
+/**
+ * Build an { oldId: newId } map for classes whose file moved, using the
+ * previous paths GitAnalyzer recovered from `git log --follow`.
+ */
+function buildRenameMap(classes) {
+    const renames = {};
+
+    classes.forEach(cls => {
+        const previousPaths = cls.gitMetrics?.previousPaths || [];
+        previousPaths.forEach(previousPath => {
+            const previousId = classId(previousPath, cls.name);
+            if (previousId !== cls.id) {
+                renames[previousId] = cls.id;
+            }
+        });
+    });
+
+    return renames;
+}
+
+module.exports = { classId, fileId, packageId, workspaceId, buildRenameMap };
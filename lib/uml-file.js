@@ -0,0 +1,33 @@
+const fs = require('fs');
+const chalk = require('chalk');
+
+/**
+ * 📂 Read a generated UML JSON file for commands that take one as input
+ * (diff, export). Reports problems the same way `upload` does and returns
+ * null instead of throwing.
+ */
+function readUMLFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        console.error(chalk.red(`\n❌ File not found: ${filePath}\n`));
+        return null;
+    }
+
+    try {
+        const umlData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!umlData.classes || !umlData.packages) {
+            console.error(chalk.red(`\n❌ Invalid UML data format: ${filePath}\n`));
+            console.log(chalk.gray('  Expected structure with "classes" and "packages" fields\n'));
+            return null;
+        }
+        return umlData;
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            console.error(chalk.red(`\n❌ Invalid JSON file: ${filePath}\n`));
+        } else {
+            console.error(chalk.red(`\n❌ Error reading file: ${error.message}\n`));
+        }
+        return null;
+    }
+}
+
+module.exports = { readUMLFile };
@@ -4,6 +4,7 @@ const ora = require('ora');
 const fs = require('fs');
 const path = require('path');
 const authManager = require('./auth');
+const validateManager = require('./validate');
 
 const API_BASE_URL = 'https://madnessinteractive.cc/api';
 
@@ -20,6 +21,12 @@ class UploadManager {
             return false;
         }
 
+        // Never send data the schema rejects
+        if (!validateManager.check(umlData)) {
+            console.log(chalk.gray('  Run: cartogomancy validate <file.json> for the full report\n'));
+            return false;
+        }
+
         const user = authManager.getCurrentUser();
         const spinner = ora(`Uploading to SwarmDesk (${user.email})...`).start();
 
@@ -107,13 +114,6 @@ class UploadManager {
             const fileContent = fs.readFileSync(filePath, 'utf8');
             const umlData = JSON.parse(fileContent);
 
-            // Validate structure
-            if (!umlData.classes || !umlData.packages) {
-                console.error(chalk.red('\n❌ Invalid UML data format\n'));
-                console.log(chalk.gray('  Expected structure with "classes" and "packages" fields\n'));
-                return false;
-            }
-
             const projectName = umlData.project?.name || path.basename(filePath, '.json');
 
             console.log(chalk.white(`\n📁 Uploading: ${chalk.bold(projectName)}`));
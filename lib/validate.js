@@ -0,0 +1,64 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const { validateUML } = require('./schema');
+
+// Errors printed before summarizing the rest
+const MAX_ERRORS = 50;
+
+class ValidateManager {
+    /**
+     * Print schema violations as `path  message (context)`
+     */
+    printErrors(errors, limit = MAX_ERRORS) {
+        errors.slice(0, limit).forEach(error => {
+            const context = error.context ? chalk.gray(` (${error.context})`) : '';
+            console.log(`  ${chalk.yellow(error.path)}  ${error.message}${context}`);
+        });
+        if (errors.length > limit) {
+            console.log(chalk.gray(`  …and ${errors.length - limit} more`));
+        }
+    }
+
+    /**
+     * Validate UML data in memory; prints violations and returns true when valid
+     */
+    check(umlData) {
+        const result = validateUML(umlData);
+        if (!result.valid) {
+            console.error(chalk.red(`\n❌ UML data does not match the v7.0 schema (${result.errors.length} violation${result.errors.length === 1 ? '' : 's'})\n`));
+            this.printErrors(result.errors);
+            console.log('');
+        }
+        return result.valid;
+    }
+
+    /**
+     * Validate a UML JSON file against the v7.0 schema
+     */
+    validateFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            console.error(chalk.red(`\n❌ File not found: ${filePath}\n`));
+            return false;
+        }
+
+        let umlData;
+        try {
+            umlData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error instanceof SyntaxError) {
+                console.error(chalk.red(`\n❌ Invalid JSON file: ${error.message}\n`));
+            } else {
+                console.error(chalk.red(`\n❌ Error reading file: ${error.message}\n`));
+            }
+            return false;
+        }
+
+        if (!this.check(umlData)) return false;
+
+        console.log(chalk.green(`\n✅ ${filePath} is valid UML v7.0`));
+        console.log(chalk.gray(`   ${umlData.classes.length} classes, ${umlData.packages.length} packages\n`));
+        return true;
+    }
+}
+
+module.exports = new ValidateManager();
@@ -0,0 +1,24 @@
+/**
+ * 🧵 Analyze Worker - Extracts content-only file facts off the main thread
+ *
+ * Task: { filePath, content, complexity, thresholds, imports }
+ * Result: { tsResults, complexity, importFacts } (see extractFileFacts)
+ */
+
+const { parentPort } = require('worker_threads');
+const ComplexityAnalyzer = require('../analyzers/complexity-analyzer');
+const ImportAnalyzer = require('../analyzers/import-analyzer');
+const { extractFileFacts } = require('../parsers/source-parser');
+
+parentPort.on('message', ({ index, task }) => {
+    try {
+        // Fresh analyzers per task: their internal caches are keyed by path, not content
+        const result = extractFileFacts(task.filePath, task.content, {
+            complexityAnalyzer: task.complexity ? new ComplexityAnalyzer({ thresholds: task.thresholds }) : null,
+            importAnalyzer: task.imports ? new ImportAnalyzer() : null
+        });
+        parentPort.postMessage({ index, result });
+    } catch (error) {
+        parentPort.postMessage({ index, error: error.message });
+    }
+});
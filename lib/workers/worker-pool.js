@@ -0,0 +1,70 @@
+/**
+ * 🧵 Worker Pool - Fan CPU-bound tasks out to worker threads
+ *
+ * Each worker script listens for { index, task } messages and replies with
+ * { index, result } or { index, error }. Results come back in task order no
+ * matter which worker finished first, so merged output stays deterministic.
+ */
+
+const { Worker } = require('worker_threads');
+
+class WorkerPool {
+    constructor(workerPath, size) {
+        this.workerPath = workerPath;
+        this.size = Math.max(1, size || 1);
+    }
+
+    /**
+     * Run every task and resolve with results in task order. A task that
+     * throws inside the worker yields { error } in its slot instead of
+     * rejecting the whole batch.
+     */
+    run(tasks) {
+        if (tasks.length === 0) return Promise.resolve([]);
+
+        return new Promise((resolve, reject) => {
+            const results = new Array(tasks.length);
+            const workers = [];
+            let nextIndex = 0;
+            let completed = 0;
+            let failed = false;
+
+            const finish = (error) => {
+                if (failed) return;
+                if (error) failed = true;
+                workers.forEach(worker => worker.terminate());
+                error ? reject(error) : resolve(results);
+            };
+
+            const dispatch = (worker) => {
+                if (nextIndex >= tasks.length) return;
+                const index = nextIndex++;
+                worker.postMessage({ index, task: tasks[index] });
+            };
+
+            const workerCount = Math.min(this.size, tasks.length);
+            for (let i = 0; i < workerCount; i++) {
+                const worker = new Worker(this.workerPath);
+                worker.on('message', ({ index, result, error }) => {
+                    results[index] = error ? { error } : result;
+                    completed++;
+                    if (completed === tasks.length) {
+                        finish();
+                    } else {
+                        dispatch(worker);
+                    }
+                });
+                worker.on('error', finish);
+                worker.on('exit', code => {
+                    if (code !== 0 && completed < tasks.length) {
+                        finish(new Error(`Worker stopped with exit code ${code}`));
+                    }
+                });
+                workers.push(worker);
+                dispatch(worker);
+            }
+        });
+    }
+}
+
+module.exports = WorkerPool;
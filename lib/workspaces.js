@@ -0,0 +1,230 @@
+/**
+ * 🏘️ Workspaces - npm/yarn/pnpm/lerna monorepo packages
+ *
+ * Workspace directories are declared by glob patterns in any of:
+ * - package.json `workspaces` (an array, or yarn's `{ packages: [...] }`)
+ * - pnpm-workspace.yaml `packages`
+ * - lerna.json `packages` (lerna's default `packages/*` when it has none)
+ * A matching directory is a workspace when it has its own package.json.
+ *
+ * Each workspace becomes a top-level district in the UML, and bare imports
+ * of its name (`@org/ui`, `@org/ui/button`) resolve to its source files
+ * (through its `exports` map first) instead of being treated as external
+ * modules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toPosix, compilePatterns, matchRules, literalBase } = require('./glob');
+const { workspaceId } = require('./stable-ids');
+const { exportTargets, probe } = require('./module-resolver');
+
+// Files that declare workspaces; editing one can add or drop districts
+const MANIFEST_FILES = ['package.json', 'pnpm-workspace.yaml', 'lerna.json'];
+const LERNA_DEFAULT_PACKAGES = ['packages/*'];
+// package.json fields naming a workspace's entry point, most source-like first
+const ENTRY_FIELDS = ['source', 'module', 'main', 'types', 'typings'];
+// Where the entry usually lives when the fields point at unbuilt output
+const ENTRY_FALLBACKS = ['src/index', 'index'];
+const SKIPPED_DIRECTORIES = ['node_modules'];
+
+function readJSON(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * The `packages:` list of a pnpm-workspace.yaml; just enough YAML for
+ * block (`- 'packages/*'`) and flow (`['packages/*']`) sequences
+ */
+function parsePnpmWorkspace(content) {
+    const unquote = value => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+    const patterns = [];
+    let inPackages = false;
+
+    for (const line of content.split(/\r?\n/)) {
+        const text = line.replace(/\s+#.*$/, '');
+        const key = text.match(/^packages\s*:\s*(.*)$/);
+        if (key) {
+            const flow = key[1].match(/^\[(.*)\]$/);
+            if (flow) patterns.push(...flow[1].split(',').map(unquote).filter(Boolean));
+            inPackages = !flow;
+        } else if (inPackages) {
+            const item = text.match(/^\s*-\s*(.+)$/);
+            if (item) {
+                patterns.push(unquote(item[1]));
+            } else if (/^\S/.test(text)) {
+                inPackages = false;
+            }
+        }
+    }
+    return patterns;
+}
+
+/**
+ * Workspace glob patterns declared at the project root (deduplicated)
+ */
+function readWorkspacePatterns(projectRoot) {
+    const patterns = [];
+
+    const packageJson = readJSON(path.join(projectRoot, 'package.json'));
+    const declared = packageJson && packageJson.workspaces;
+    if (Array.isArray(declared)) patterns.push(...declared);
+    else if (declared && Array.isArray(declared.packages)) patterns.push(...declared.packages);
+
+    try {
+        patterns.push(...parsePnpmWorkspace(fs.readFileSync(path.join(projectRoot, 'pnpm-workspace.yaml'), 'utf8')));
+    } catch (error) {
+        // Not a pnpm workspace
+    }
+
+    const lernaJson = readJSON(path.join(projectRoot, 'lerna.json'));
+    if (lernaJson) patterns.push(...(Array.isArray(lernaJson.packages) ? lernaJson.packages : LERNA_DEFAULT_PACKAGES));
+
+    return [...new Set(patterns.filter(pattern => typeof pattern === 'string' && pattern.trim()))];
+}
+
+/**
+ * 🔎 Find the project's workspaces: [{ id, name, version, description, path,
+ * manifest }] sorted by path, where `path` is project-relative with `/`
+ * separators and `manifest` is the workspace's package.json. Empty when the
+ * project declares none.
+ */
+function discoverWorkspaces(projectRoot) {
+    const patterns = readWorkspacePatterns(projectRoot).map(pattern => pattern.replace(/^\.\//, ''));
+    const rules = compilePatterns(patterns, { anchored: true });
+    const positive = patterns.filter(pattern => !pattern.startsWith('!'));
+    if (positive.length === 0) return [];
+
+    // `packages/*` only needs two levels; `**` means the whole tree below the base
+    const maxDepth = positive.some(pattern => pattern.includes('**'))
+        ? Infinity
+        : Math.max(...positive.map(pattern => pattern.replace(/\/+$/, '').split('/').length));
+    const bases = [...new Set(positive.map(literalBase))];
+    const workspaces = new Map();
+
+    const visit = (relativeDir) => {
+        if (workspaces.has(relativeDir) || !matchRules(rules, relativeDir, true)) return;
+
+        const manifest = readJSON(path.join(projectRoot, relativeDir, 'package.json'));
+        if (!manifest) return;
+
+        workspaces.set(relativeDir, {
+            id: workspaceId(relativeDir),
+            name: manifest.name || path.posix.basename(relativeDir),
+            version: manifest.version || null,
+            description: manifest.description || null,
+            path: relativeDir,
+            manifest
+        });
+    };
+
+    const walk = (relativeDir, depth) => {
+        if (relativeDir) visit(relativeDir);
+        if (depth >= maxDepth) return;
+
+        let entries;
+        try {
+            entries = fs.readdirSync(path.join(projectRoot, relativeDir), { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        entries
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.includes(entry.name))
+            .forEach(entry => walk(relativeDir ? `${relativeDir}/${entry.name}` : entry.name, depth + 1));
+    };
+
+    bases.forEach(base => walk(base, base ? base.split('/').length : 0));
+
+    return [...workspaces.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Include patterns for a monorepo: the configured ones at the root and
+ * again inside each workspace, so `src` also picks up `packages/ui/src`
+ */
+function workspaceIncludes(include, workspaces) {
+    if (include.length === 0 || workspaces.length === 0) return include;
+
+    const scoped = workspaces.flatMap(workspace => include.map(pattern => {
+        const negated = pattern.startsWith('!');
+        const body = pattern.replace(/^!/, '').replace(/^\/+/, '');
+        return `${negated ? '!' : ''}${workspace.path}/${body}`;
+    }));
+    return [...new Set([...include, ...scoped])];
+}
+
+/**
+ * The source file behind a package's entry point (`subpath` '') or one of
+ * its subpaths: its `exports` targets first, then the entry fields, then
+ * where sources usually live when those point at unbuilt output. Null when
+ * no candidate is accepted.
+ *
+ * @param {string} packageRoot - absolute directory of the package.json
+ * @param {Object} manifest - the parsed package.json
+ * @param {string} subpath - e.g. 'button' for `@org/ui/button`
+ * @param {Function} [accept] - absolutePath → boolean; defaults to "is a file"
+ */
+function packageEntry(packageRoot, manifest, subpath, accept) {
+    const exported = exportTargets(manifest.exports, subpath).filter(target => target.startsWith('./'));
+    const entries = subpath
+        ? [...exported, subpath, `src/${subpath}`]
+        : [...exported, ...ENTRY_FIELDS.map(field => manifest[field]).filter(entry => typeof entry === 'string'), ...ENTRY_FALLBACKS];
+
+    for (const entry of entries) {
+        const resolved = probe(path.join(packageRoot, entry), accept);
+        if (resolved) return resolved;
+    }
+    return null;
+}
+
+class WorkspaceResolver {
+    /**
+     * @param {string} projectRoot
+     * @param {Array} workspaces - from discoverWorkspaces()
+     */
+    constructor(projectRoot, workspaces = []) {
+        this.projectRoot = projectRoot;
+        this.workspaces = workspaces;
+        // Longest names first so `@org/ui-kit` isn't read as `@org/ui` + `-kit`
+        this.byName = [...workspaces].sort((a, b) => b.name.length - a.name.length);
+        // Deepest paths first so nested workspaces claim their own files
+        this.byPath = [...workspaces].sort((a, b) => b.path.length - a.path.length);
+    }
+
+    /**
+     * The workspace a bare specifier names, with the subpath after its name
+     */
+    match(specifier) {
+        const workspace = this.byName.find(ws => specifier === ws.name || specifier.startsWith(`${ws.name}/`));
+        return workspace ? { workspace, subpath: specifier.substring(workspace.name.length + 1) } : null;
+    }
+
+    /**
+     * The workspace a project-relative path belongs to, or null
+     */
+    workspaceOf(relativePath) {
+        const target = toPosix(relativePath);
+        return this.byPath.find(ws => target === ws.path || target.startsWith(`${ws.path}/`)) || null;
+    }
+
+    /**
+     * Resolve a workspace import to an absolute file path, or null when the
+     * specifier names no workspace or no candidate file is accepted.
+     *
+     * @param {string} specifier - e.g. `@org/ui` or `@org/ui/button`
+     * @param {Function} [accept] - absolutePath → boolean; defaults to "is a file"
+     */
+    resolve(specifier, accept) {
+        const matched = this.match(specifier);
+        if (!matched) return null;
+
+        const { workspace, subpath } = matched;
+        return packageEntry(path.join(this.projectRoot, workspace.path), workspace.manifest, subpath, accept);
+    }
+}
+
+module.exports = { MANIFEST_FILES, discoverWorkspaces, workspaceIncludes, packageEntry, WorkspaceResolver };
@@ -13,7 +13,9 @@ const Table = require('cli-table3');
 const boxen = require('boxen');
 const gradient = require('gradient-string');
 const figlet = require('figlet');
-const { generateUML, analyzeFile, findSourceFiles } = require('./cartogomancy.js');
+const { analyze } = require('./lib/analyze');
+const { DEFAULT_CONFIG, loadConfig, saveConfig, mergeConfig } = require('./lib/config');
+const { splitPatternList } = require('./lib/glob');
 
 /**
  * 🎨 Display fancy welcome banner
@@ -150,8 +152,21 @@ async function selectProject() {
 
 /**
  * ⚙️ Configure analysis options
+ * Defaults come from the project's config file; customized patterns can be saved back to it.
  */
 async function configureOptions(projectPath) {
+    let config = mergeConfig(DEFAULT_CONFIG);
+    let configSource = null;
+    try {
+        ({ config, source: configSource } = loadConfig(projectPath));
+        if (configSource) {
+            console.log(chalk.gray(`⚙️  Using ${path.basename(configSource)}`));
+        }
+    } catch (error) {
+        console.log(chalk.yellow(`⚠️  ${error.message}`));
+        console.log(chalk.gray('   Falling back to default settings'));
+    }
+
     const { customize } = await inquirer.prompt([
         {
             type: 'confirm',
@@ -161,39 +176,65 @@ async function configureOptions(projectPath) {
         }
     ]);
 
-    let includePatterns = ['src', 'lib', 'components', 'pages', 'utils', 'hooks', 'services'];
-    let excludePatterns = ['node_modules', 'dist', 'build', '.git', 'coverage', 'test', '__tests__'];
+    let includePatterns = config.include;
+    let excludePatterns = config.exclude;
 
     if (customize) {
         const { include, exclude } = await inquirer.prompt([
             {
                 type: 'input',
                 name: 'include',
-                message: 'Include patterns (comma-separated):',
+                message: 'Include globs (comma-separated, !pattern to drop):',
                 default: includePatterns.join(', ')
             },
             {
                 type: 'input',
                 name: 'exclude',
-                message: 'Exclude patterns (comma-separated):',
+                message: 'Exclude globs (comma-separated, .gitignore syntax):',
                 default: excludePatterns.join(', ')
             }
         ]);
-        includePatterns = include.split(',').map(s => s.trim());
-        excludePatterns = exclude.split(',').map(s => s.trim());
+        includePatterns = splitPatternList(include);
+        excludePatterns = splitPatternList(exclude);
+
+        // JavaScript configs are code, and cloned repos are thrown away after analysis
+        const canSave = fs.existsSync(projectPath) && !(configSource && configSource.endsWith('.js'));
+        if (canSave) {
+            const target = configSource ? path.basename(configSource) : '.cartogomancyrc.json';
+            const { save } = await inquirer.prompt([
+                {
+                    type: 'confirm',
+                    name: 'save',
+                    message: `Save these patterns to ${target}?`,
+                    default: false
+                }
+            ]);
+            if (save) {
+                try {
+                    saveConfig(projectPath, { include: includePatterns, exclude: excludePatterns }, configSource);
+                    console.log(chalk.green(`✅ Saved to ${target}`));
+                } catch (error) {
+                    console.log(chalk.yellow(`⚠️  Could not save config: ${error.message}`));
+                }
+            }
+        }
     }
 
     const projectName = path.basename(projectPath);
+    const defaultOutput = config.output
+        ? path.join(path.dirname(config.output), `${path.basename(config.output, path.extname(config.output))}.json`)
+        : `${projectName}-uml.json`;
     const { outputFile } = await inquirer.prompt([
         {
             type: 'input',
             name: 'outputFile',
             message: 'Output file name:',
-            default: `${projectName}-uml.json`
+            default: defaultOutput
         }
     ]);
 
     return {
+        config,
         includePatterns,
         excludePatterns,
         outputFile
@@ -206,16 +247,46 @@ async function configureOptions(projectPath) {
 async function runAnalysis(projectPath, options) {
     console.log('\n');
 
-    // Step 1: Finding files
-    const findingSpinner = ora({
+    let spinner = ora({
         text: 'Scanning project files...',
         color: 'cyan'
     }).start();
 
-    const files = findSourceFiles(projectPath, options.includePatterns, options.excludePatterns);
-    findingSpinner.succeed(chalk.green(`Found ${files.length} source files`));
+    // analyze() reports phases; each one gets its own spinner line
+    const onProgress = ({ phase, completed, total }) => {
+        if (phase === 'scan') {
+            spinner.succeed(chalk.green(`Found ${total} source files`));
+            spinner = ora({ text: 'Parsing source files...', color: 'magenta' }).start();
+        } else if (phase === 'analyze' && completed % 10 === 0) {
+            spinner.text = `Analyzing... ${completed}/${total} files`;
+        } else if (phase === 'summarize') {
+            spinner.succeed(chalk.green('Analyzed code structure'));
+            spinner = ora({ text: 'Generating analysis summaries...', color: 'blue' }).start();
+        } else if (phase === 'done') {
+            spinner.succeed(chalk.green('Analysis summaries ready'));
+        }
+    };
+
+    const warnings = [];
+    let umlData;
+    try {
+        umlData = await analyze(projectPath, {
+            ...options.config,
+            include: options.includePatterns,
+            exclude: options.excludePatterns,
+            logger: { log() {}, warn: message => warnings.push(message) },
+            onProgress
+        });
+    } catch (error) {
+        spinner.fail(chalk.red(`Analysis failed: ${error.message}`));
+        return null;
+    }
 
-    if (files.length === 0) {
+    if (warnings.length > 0) {
+        console.log(chalk.yellow(`⚠️  ${warnings.length} file(s) could not be analyzed`));
+    }
+
+    if (umlData.files.length === 0) {
         console.log(boxen(chalk.yellow('⚠️  No source files found!\n\nTry adjusting your include patterns.'), {
             padding: 1,
             borderColor: 'yellow',
@@ -224,79 +295,6 @@ async function runAnalysis(projectPath, options) {
         return null;
     }
 
-    // Step 2: Analyzing files
-    const analyzingSpinner = ora({
-        text: 'Analyzing code structure...',
-        color: 'magenta'
-    }).start();
-
-    const classes = [];
-    const packages = new Map();
-    let analyzed = 0;
-
-    for (const filePath of files) {
-        try {
-            const classData = analyzeFile(filePath, projectPath);
-            classes.push(classData);
-
-            const pkgPath = classData.package;
-            if (!packages.has(pkgPath)) {
-                packages.set(pkgPath, {
-                    id: `package_${Math.random().toString(36).substring(2, 9)}`,
-                    name: pkgPath.split('/').pop() || 'root',
-                    path: pkgPath,
-                    classes: []
-                });
-            }
-            packages.get(pkgPath).classes.push(classData.id);
-
-            analyzed++;
-            if (analyzed % 10 === 0) {
-                analyzingSpinner.text = `Analyzing... ${analyzed}/${files.length} files`;
-            }
-        } catch (error) {
-            // Continue on error
-        }
-    }
-
-    analyzingSpinner.succeed(chalk.green(`Analyzed ${classes.length} components`));
-
-    // Step 3: Get project metadata
-    const metadataSpinner = ora({
-        text: 'Reading project metadata...',
-        color: 'blue'
-    }).start();
-
-    let projectName = path.basename(projectPath);
-    let projectDescription = 'Codebase visualization';
-    let projectLanguage = 'JavaScript';
-
-    const packageJsonPath = path.join(projectPath, 'package.json');
-    if (fs.existsSync(packageJsonPath)) {
-        try {
-            const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-            projectName = packageJson.name || projectName;
-            projectDescription = packageJson.description || projectDescription;
-        } catch (error) {
-            // Use defaults
-        }
-    }
-
-    metadataSpinner.succeed(chalk.green('Project metadata loaded'));
-
-    // Build UML structure
-    const umlData = {
-        version: '7.0',
-        generated: new Date().toISOString(),
-        project: {
-            name: projectName,
-            description: projectDescription,
-            language: projectLanguage
-        },
-        packages: Array.from(packages.values()),
-        classes
-    };
-
     return umlData;
 }
 
@@ -326,8 +324,10 @@ function displayResults(umlData) {
     table.push(
         ['Project Name', chalk.white.bold(umlData.project.name)],
         ['Description', chalk.gray(umlData.project.description)],
+        ['Files', chalk.blue((umlData.files || []).length.toString())],
         ['Components', chalk.green(umlData.classes.length.toString())],
         ['Packages', chalk.yellow(umlData.packages.length.toString())],
+        ...(umlData.workspaces ? [['Workspaces', chalk.magenta(umlData.workspaces.length.toString())]] : []),
         ['Generated', chalk.gray(new Date(umlData.generated).toLocaleString())]
     );
 